@@ -69,7 +69,7 @@ async function checkChromaDB() {
         return true;
     } else {
         log('red', '❌ ChromaDB database not found');
-        log('yellow', '   Run: cd scripts && python ingest.py');
+        log('yellow', '   Run: npm run ingest (or: cd scripts && python ingest.py)');
         return false;
     }
 }
@@ -92,7 +92,13 @@ async function main() {
 
     // Check environment variables
     log('yellow', '\n🔧 Checking Environment Variables:');
-    allGood &= checkEnvVar('GEMINI_API_KEY', 'Gemini API Key');
+    const llmProvider = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+    log('blue', `   LLM provider: ${llmProvider}`);
+    if (llmProvider === 'gemini') {
+        allGood &= checkEnvVar('GEMINI_API_KEY', 'Gemini API Key');
+    } else if (llmProvider === 'openai') {
+        allGood &= checkEnvVar('OPENAI_BASE_URL', 'OpenAI-compatible base URL');
+    }
     allGood &= checkEnvVar('PORT', 'Server Port');
     allGood &= checkEnvVar('FRONTEND_URL', 'Frontend URL');
     allGood &= checkEnvVar('REDIS_URL', 'Redis URL');
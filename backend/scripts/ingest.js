@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+// Node.js ingestion: crawl feeds, extract and embed articles, upsert into Chroma.
+//
+// Usage:
+//   node scripts/ingest.js [--feed <url|path>]... [--max <n>] [--offline] [--dry-run]
+//
+// Without --feed the default feed list is used. Local feed files may link to
+// article pages relative to their own location (see scripts/fixtures).
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const ingestService = require('../src/services/ingest.service');
+
+const parseArgs = (argv) => {
+    const options = { feeds: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--feed':
+                options.feeds.push(argv[++i]);
+                break;
+            case '--max':
+                options.maxItems = parseInt(argv[++i]);
+                break;
+            case '--offline':
+                options.offline = true;
+                break;
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    if (options.feeds.length === 0) delete options.feeds;
+    if (options.maxItems !== undefined && !(options.maxItems > 0)) {
+        throw new Error('--max must be a positive number');
+    }
+    return options;
+};
+
+async function main() {
+    const stats = await ingestService.run(parseArgs(process.argv.slice(2)));
+    console.log(JSON.stringify(stats, null, 2));
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ Ingestion failed: ${error.message}`);
+        process.exit(1);
+    });
+}
@@ -5,6 +5,9 @@ ingest.py
 - Run a sample query
 """
 
+import os
+import re
+from datetime import datetime, timezone
 import numpy as np
 from pathlib import Path
 from tqdm import tqdm
@@ -27,9 +30,23 @@ OUT_DIR = Path("news_output")
 OUT_DIR.mkdir(exist_ok=True)
 
 CHROMA_PATH = OUT_DIR / "chroma_db"   # <-- single source of truth
+# The backend's BM25 index (src/services/keyword.service.js); deleting it
+# makes the backend rebuild it from Chroma on the next query
+KEYWORD_INDEX_FILE = Path(__file__).resolve().parent.parent / "data" / "keyword-index.json"
 
-EMBED_MODEL = "jinaai/jina-embeddings-v2-base-en"
+# Same choice as src/config/embedding.config.js: EMBED_MODEL, or with
+# EMBED_MULTILINGUAL=true a model that maps 50+ languages into one space
+DEFAULT_EMBED_MODEL = "jinaai/jina-embeddings-v2-base-en"
+MULTILINGUAL_EMBED_MODEL = "sentence-transformers/paraphrase-multilingual-MiniLM-L12-v2"
+EMBED_MODEL = os.environ.get("EMBED_MODEL") or (
+    MULTILINGUAL_EMBED_MODEL
+    if os.environ.get("EMBED_MULTILINGUAL") == "true"
+    else DEFAULT_EMBED_MODEL
+)
+EMBED_POOLING = "mean"
 BATCH_SIZE = 8
+CHUNK_SIZE = 1000     # characters per chunk
+CHUNK_OVERLAP = 200   # characters repeated from the previous chunk
 DEVICE = "cuda" if torch.cuda.is_available() else "cpu"
 
 
@@ -72,6 +89,8 @@ def fetch_articles(urls):
                     if getattr(art, "date_publish", None)
                     else None,
                     "source": getattr(art, "source_domain", None),
+                    # Detected by news-please, e.g. "en"
+                    "language": getattr(art, "language", None),
                 }
             )
         except Exception as e:
@@ -80,8 +99,118 @@ def fetch_articles(urls):
     return articles
 
 
+# ---------- Chunking ----------
+# Mirrors chunkText() in src/utils/chunker.js; keep the two in sync.
+PARAGRAPH_BREAK = "\n\n"
+
+
+def split_paragraphs(text):
+    paragraphs = (re.sub(r"\s+", " ", p).strip() for p in re.split(r"\n\s*\n", text))
+    return [p for p in paragraphs if p]
+
+
+def split_sentences(paragraph):
+    sentences = re.split(r"(?<=[.!?])\s+(?=[\"'“‘(\[]?[A-Z0-9])", paragraph)
+    return [s.strip() for s in sentences if s.strip()]
+
+
+def split_long(sentence, size):
+    pieces, current = [], ""
+    for word in sentence.split(" "):
+        if current and len(current) + 1 + len(word) > size:
+            pieces.append(current)
+            current = word
+        else:
+            current = f"{current} {word}" if current else word
+    if current:
+        pieces.append(current)
+    return pieces
+
+
+def to_units(text, size):
+    units = []
+    for paragraph in split_paragraphs(text):
+        sentences = []
+        for sentence in split_sentences(paragraph):
+            sentences.extend([sentence] if len(sentence) <= size else split_long(sentence, size))
+        for index, sentence in enumerate(sentences):
+            units.append(
+                {"text": sentence, "starts_paragraph": index == 0, "paragraph_length": len(paragraph)}
+            )
+    return units
+
+
+def separator_before(unit):
+    return PARAGRAPH_BREAK if unit["starts_paragraph"] else " "
+
+
+def join_units(units):
+    return "".join(
+        (separator_before(unit) if index > 0 else "") + unit["text"]
+        for index, unit in enumerate(units)
+    )
+
+
+def chunk_text(text, size=CHUNK_SIZE, overlap=CHUNK_OVERLAP):
+    if not text or not text.strip():
+        return []
+    if overlap >= size:
+        raise ValueError("Chunk overlap must be smaller than chunk size")
+
+    chunks, current, length = [], [], 0
+    for unit in to_units(text, size):
+        added = (len(separator_before(unit)) if current else 0) + len(unit["text"])
+        overflows = length + added > size
+        paragraph_break = (
+            unit["starts_paragraph"]
+            and length >= size / 2
+            and length + unit["paragraph_length"] + 2 > size
+        )
+
+        if current and (overflows or paragraph_break):
+            chunks.append(join_units(current))
+
+            # Carry the tail of the finished chunk into the next one
+            carried_from, carried_length = len(current), 0
+            while carried_from > 0:
+                candidate = len(current[carried_from - 1]["text"]) + 1
+                if carried_length + candidate > overlap or carried_length + candidate + added > size:
+                    break
+                carried_length += candidate
+                carried_from -= 1
+
+            current = current[carried_from:]
+            length = len(join_units(current))
+
+        length += (len(separator_before(unit)) if current else 0) + len(unit["text"])
+        current.append(unit)
+
+    if current:
+        chunks.append(join_units(current))
+    return chunks
+
+
+def chunk_articles(articles):
+    # One record per chunk, linked back to its article by URL
+    chunks = []
+    for a in articles:
+        pieces = chunk_text(a["text"])
+        for index, piece in enumerate(pieces):
+            chunks.append(
+                {
+                    **a,
+                    "id": f"{a['url']}#chunk-{index}",
+                    "text": piece,
+                    "article_id": a["url"],
+                    "chunk_index": index,
+                    "chunk_count": len(pieces),
+                }
+            )
+    return chunks
+
+
 # ---------- Embedding ----------
-def load_jina_model():
+def load_embed_model():
     tok = AutoTokenizer.from_pretrained(EMBED_MODEL, trust_remote_code=True)
     model = AutoModel.from_pretrained(EMBED_MODEL, trust_remote_code=True).to(DEVICE)
     model.eval()
@@ -98,7 +227,7 @@ def embed_texts(texts, tok, model):
                 padding=True,
                 truncation=True,
                 return_tensors="pt",
-                max_length=8192,
+                max_length=min(8192, tok.model_max_length),
             )
             out = model(
                 enc["input_ids"].to(DEVICE),
@@ -117,23 +246,86 @@ def embed_texts(texts, tok, model):
 
 
 # ---------- Store in Chroma ----------
-def store_in_chroma(articles, embeddings):
+def model_basename(model):
+    # jinaai/jina-embeddings-v2-base-en and its ONNX port
+    # Xenova/jina-embeddings-v2-base-en are the same model
+    return str(model or "").split("/")[-1].lower()
+
+
+def embedding_metadata(embeddings):
+    # Read back by the backend (embedding.service.js) to refuse queries
+    # against a collection embedded with a different model
+    return {
+        "embedding_provider": "transformers",
+        "embedding_model": EMBED_MODEL,
+        "embedding_dimension": int(embeddings.shape[1]),
+        "embedding_pooling": EMBED_POOLING,
+    }
+
+
+def published_ts(date):
+    # Publish date as epoch seconds for range filters (naive dates are UTC);
+    # mirrors toTimestamp() in src/services/ingest.service.js
+    if not date:
+        return None
+    try:
+        parsed = datetime.fromisoformat(date)
+    except ValueError:
+        return None
+    if parsed.tzinfo is None:
+        parsed = parsed.replace(tzinfo=timezone.utc)
+    return int(parsed.timestamp())
+
+
+def store_in_chroma(chunks, embeddings):
     client = chromadb.PersistentClient(path=str(CHROMA_PATH))
-    collection = client.get_or_create_collection(name="news_articles")
+    expected = embedding_metadata(embeddings)
+    collection = client.get_or_create_collection(
+        name="news_articles", metadata=expected
+    )
+
+    stored = collection.metadata or {}
+    if not stored.get("embedding_model"):
+        # Collection predates embedding metadata: record it now
+        collection.modify(metadata={**stored, **expected})
+    elif (
+        model_basename(stored["embedding_model"]) != model_basename(EMBED_MODEL)
+        or stored.get("embedding_dimension") != expected["embedding_dimension"]
+    ):
+        raise SystemExit(
+            f"❌ Collection '{collection.name}' was embedded with "
+            f"{stored['embedding_model']} ({stored.get('embedding_dimension')} dims), "
+            f"not {EMBED_MODEL} ({expected['embedding_dimension']} dims). "
+            "Delete news_output/chroma_db or use the original model."
+        )
 
-    ids = [a["id"] for a in articles]
-    docs = [a["text"] for a in articles]
+    # Drop previous chunks of these articles so shorter re-ingests leave no strays
+    article_ids = sorted({c["article_id"] for c in chunks})
+    if article_ids:
+        collection.delete(where={"article_id": {"$in": article_ids}})
+
+    ids = [c["id"] for c in chunks]
+    docs = [c["text"] for c in chunks]
     metas = [
         {
-            "title": a["title"],
-            "url": a["url"],
-            "date": a["date"],
-            "source": a["source"],
+            key: value
+            for key, value in {
+                "title": c["title"],
+                "url": c["url"],
+                "date": c["date"],
+                "published_ts": published_ts(c["date"]),
+                "source": c["source"],
+                "language": c["language"],
+                "article_id": c["article_id"],
+                "chunk_index": c["chunk_index"],
+                "chunk_count": c["chunk_count"],
+            }.items()
+            if value is not None
         }
-        for a in articles
+        for c in chunks
     ]
 
-    collection.add(
+    collection.upsert(
         ids=ids,
         documents=docs,
         embeddings=embeddings.tolist(),
@@ -149,7 +341,7 @@ def query_example(tok, model):
     col = client.get_or_create_collection("news_articles")  # safer
 
     query = "climate change summit"
-    enc = tok([query], padding=True, truncation=True, return_tensors="pt", max_length=8192)
+    enc = tok([query], padding=True, truncation=True, return_tensors="pt", max_length=min(8192, tok.model_max_length))
     with torch.no_grad():
         out = model(
             enc["input_ids"].to(DEVICE),
@@ -171,10 +363,14 @@ def main():
     urls = gather_urls(RSS_FEEDS, TARGET_NUM * 2)[:TARGET_NUM]
     articles = fetch_articles(urls)
 
-    tok, model = load_jina_model()
-    embeddings = embed_texts([a["text"] for a in articles], tok, model)
+    chunks = chunk_articles(articles)
+    print(f"✅ Split {len(articles)} articles into {len(chunks)} chunks")
+
+    tok, model = load_embed_model()
+    embeddings = embed_texts([c["text"] for c in chunks], tok, model)
 
-    store_in_chroma(articles, embeddings)
+    store_in_chroma(chunks, embeddings)
+    KEYWORD_INDEX_FILE.unlink(missing_ok=True)
 
     query_example(tok, model)
 
@@ -0,0 +1,18 @@
+const { ChromaClient } = require("chromadb");
+const path = require('path');
+
+// Directory the Chroma server persists to (`chroma run --path <CHROMA_PATH>`)
+const CHROMA_PATH = path.join(__dirname, "../../scripts/news_output/chroma_db");
+const COLLECTION_NAME = "news_articles";
+
+const createChromaClient = () => {
+    const url = new URL(process.env.CHROMA_URL || 'http://localhost:8000');
+
+    return new ChromaClient({
+        host: url.hostname,
+        port: parseInt(url.port) || (url.protocol === 'https:' ? 443 : 80),
+        ssl: url.protocol === 'https:'
+    });
+};
+
+module.exports = { createChromaClient, CHROMA_PATH, COLLECTION_NAME };
@@ -0,0 +1,22 @@
+// Embedding provider configuration.
+// Read lazily so values from .env are picked up regardless of require order.
+
+// ONNX port of jinaai/jina-embeddings-v2-base-en used by scripts/ingest.py
+const DEFAULT_MODEL = 'Xenova/jina-embeddings-v2-base-en';
+// EMBED_MULTILINGUAL=true: one vector space for 50+ languages, so a question
+// in one language retrieves articles written in another
+const MULTILINGUAL_MODEL = 'Xenova/paraphrase-multilingual-MiniLM-L12-v2';
+
+const getEmbeddingConfig = () => ({
+    provider: (process.env.EMBEDDING_PROVIDER || 'transformers').toLowerCase(),
+    transformers: {
+        model: process.env.EMBED_MODEL || (process.env.EMBED_MULTILINGUAL === 'true' ? MULTILINGUAL_MODEL : DEFAULT_MODEL),
+        pooling: 'mean',
+        normalize: true
+    },
+    hash: {
+        dimension: parseInt(process.env.HASH_EMBED_DIMENSION) || 256
+    }
+});
+
+module.exports = { getEmbeddingConfig, DEFAULT_MODEL, MULTILINGUAL_MODEL };
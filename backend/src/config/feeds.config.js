@@ -0,0 +1,19 @@
+// Same defaults as RSS_FEEDS in scripts/ingest.py
+const DEFAULT_FEEDS = [
+    "http://feeds.bbci.co.uk/news/rss.xml",
+    "http://rss.cnn.com/rss/edition.rss",
+    "https://www.reutersagency.com/feed/?best-topics=top-news",
+    "https://www.theguardian.com/world/rss",
+    "https://rss.nytimes.com/services/xml/rss/nyt/HomePage.xml",
+];
+
+// Comma-separated FEEDS env var, or the default list
+const getConfiguredFeeds = () => {
+    const configured = (process.env.FEEDS || '')
+        .split(',')
+        .map(feed => feed.trim())
+        .filter(Boolean);
+    return configured.length > 0 ? configured : DEFAULT_FEEDS;
+};
+
+module.exports = { DEFAULT_FEEDS, getConfiguredFeeds };
@@ -1,12 +0,0 @@
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-
-if (!GEMINI_API_KEY) {
-    console.error('❌ GEMINI_API_KEY is not set in environment variables');
-    process.exit(1);
-}
-
-const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-
-module.exports = { genAI };
\ No newline at end of file
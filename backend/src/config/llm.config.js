@@ -0,0 +1,21 @@
+// LLM provider configuration.
+// Read lazily so values from .env are picked up regardless of require order.
+const getLLMConfig = () => ({
+    provider: (process.env.LLM_PROVIDER || 'gemini').toLowerCase(),
+    gemini: {
+        apiKey: process.env.GEMINI_API_KEY,
+        model: process.env.GEMINI_MODEL || 'gemini-2.0-flash-exp'
+    },
+    openai: {
+        // Any OpenAI-compatible server: OpenAI, Ollama, llama.cpp, vLLM...
+        baseUrl: (process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, ''),
+        apiKey: process.env.OPENAI_API_KEY || '',
+        model: process.env.OPENAI_MODEL || 'llama3.1',
+        timeout: parseInt(process.env.OPENAI_TIMEOUT) || 60000
+    },
+    mock: {
+        maxSentences: parseInt(process.env.MOCK_MAX_SENTENCES) || 3
+    }
+});
+
+module.exports = { getLLMConfig };
@@ -0,0 +1,17 @@
+// Reranking provider configuration.
+// Read lazily so values from .env are picked up regardless of require order.
+const getRerankConfig = () => ({
+    // none | transformers | overlap
+    provider: (process.env.RERANK_PROVIDER || 'none').toLowerCase(),
+    // Articles rescored per query
+    topN: parseInt(process.env.RERANK_TOP_N) || 20,
+    // Articles scoring below this (0-1) are left out of the context
+    minScore: parseFloat(process.env.RERANK_MIN_SCORE) || 0.1,
+    transformers: {
+        // ONNX port of cross-encoder/ms-marco-MiniLM-L-6-v2
+        model: process.env.RERANK_MODEL || 'Xenova/ms-marco-MiniLM-L-6-v2',
+        maxLength: 512
+    }
+});
+
+module.exports = { getRerankConfig };
@@ -1,13 +1,23 @@
+const dotenv = require("dotenv");
+
+// Load environment variables before any service reads its configuration
+dotenv.config();
+
 const express = require("express");
 const cors = require("cors");
-const dotenv = require("dotenv");
 const { createServer } = require("http");
 const { initializeSocket } = require("./services/socket.service");
 const chatRoutes = require("./routes/chat.routes");
+const adminRoutes = require("./routes/admin.routes");
+const feedsRoutes = require("./routes/feeds.routes");
+const briefingRoutes = require("./routes/briefing.routes");
+const entitiesRoutes = require("./routes/entities.routes");
+const timelineRoutes = require("./routes/timeline.routes");
+const authRoutes = require("./routes/auth.routes");
 const redisService = require("./services/redis.service");
-
-// Load environment variables
-dotenv.config();
+const jobService = require("./services/job.service");
+const feedScheduler = require("./services/scheduler.service");
+const retentionService = require("./services/retention.service");
 
 const app = express();
 const PORT = process.env.PORT || 4000;
@@ -17,7 +27,7 @@ const corsOptions = {
   origin: process.env.FRONTEND_URL,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-Key']
 };
 
 // Middleware
@@ -32,6 +42,12 @@ app.use((req, res, next) => {
 });
 
 // Routes
+app.use('/api/admin', adminRoutes);
+app.use('/api/feeds', feedsRoutes);
+app.use('/api/briefing', briefingRoutes);
+app.use('/api/entities', entitiesRoutes);
+app.use('/api/timeline', timelineRoutes);
+app.use('/api', authRoutes);
 app.use('/api', chatRoutes);
 
 // Root endpoint
@@ -42,10 +58,25 @@ app.get("/", (req, res) => {
     status: "running",
     endpoints: {
       chat: "POST /api/chat",
+      chatStream: "POST /api/chat/stream",
       history: "GET /api/session/:id/history",
       clearSession: "DELETE /api/session/:id",
       newSession: "POST /api/session/new",
-      health: "GET /api/health"
+      register: "POST /api/auth/register",
+      login: "POST /api/auth/login",
+      me: "GET /api/me",
+      mySessions: "GET /api/me/sessions",
+      health: "GET /api/health",
+      briefing: "GET /api/briefing",
+      entities: "GET /api/entities?q=",
+      entityArticles: "GET /api/entities/:name/articles",
+      timeline: "GET /api/timeline?q=",
+      adminIngest: "POST /api/admin/ingest",
+      adminIngestStatus: "GET /api/admin/ingest/:jobId",
+      feeds: "GET /api/feeds",
+      manageFeeds: "POST /api/feeds, PUT|DELETE /api/feeds/:id",
+      retentionReport: "GET /api/admin/retention/report",
+      retentionRun: "POST /api/admin/retention/run"
     }
   });
 });
@@ -88,6 +119,20 @@ async function startServer() {
       console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
     });
 
+    // Optionally refresh the news corpus in the background, as an ingest
+    // job so it never overlaps a feed poll or retention
+    if (process.env.INGEST_ON_STARTUP === 'true') {
+      jobService.startIngestJob({ trigger: 'startup' }).catch(error => {
+        console.error('❌ Startup ingestion failed:', error);
+      });
+    }
+
+    // Poll feeds on an interval (FEED_POLL_INTERVAL_MINUTES)
+    feedScheduler.start();
+
+    // Expire old articles on an interval (RETENTION_DAYS)
+    retentionService.start();
+
   } catch (error) {
     console.error('❌ Failed to start server:', error);
     process.exit(1);
@@ -97,6 +142,8 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('🔄 Shutting down gracefully...');
+  feedScheduler.stop();
+  retentionService.stop();
   await redisService.disconnect();
   server.close(() => {
     console.log('✅ Server closed');
@@ -106,6 +153,8 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   console.log('🔄 Shutting down gracefully...');
+  feedScheduler.stop();
+  retentionService.stop();
   await redisService.disconnect();
   server.close(() => {
     console.log('✅ Server closed');
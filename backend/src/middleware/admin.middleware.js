@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+
+// Constant-time comparison that tolerates different lengths
+const safeEqual = (a, b) => {
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+};
+
+// Require `Authorization: Bearer <ADMIN_API_KEY>` on admin routes.
+// Admin routes are disabled entirely when no key is configured.
+const requireAdmin = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(503).json({
+      error: 'Admin API is disabled (ADMIN_API_KEY is not set)',
+      code: 'ADMIN_DISABLED'
+    });
+  }
+
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+
+  if (!token || !safeEqual(token, adminKey)) {
+    return res.status(401).json({
+      error: 'Invalid or missing admin credentials',
+      code: 'UNAUTHORIZED'
+    });
+  }
+  next();
+};
+
+// `?refresh=true` skips a cache and redoes the LLM work behind it, so only
+// admins may ask for it
+const requireAdminForRefresh = (req, res, next) => {
+  if (req.query.refresh === 'true') {
+    return requireAdmin(req, res, next);
+  }
+  next();
+};
+
+module.exports = { requireAdmin, requireAdminForRefresh };
@@ -0,0 +1,31 @@
+const userService = require('../services/user.service');
+
+// Login token from `Authorization: Bearer <token>`
+const tokenFrom = ({ authorization }) =>
+  authorization?.startsWith('Bearer ') ? authorization.slice(7).trim() || null : null;
+
+// The signed-in user for a request's or socket handshake's headers, or null.
+// Missing, invalid and expired tokens all mean an anonymous request.
+const userFromHeaders = async (headers) => {
+  const token = tokenFrom(headers);
+  return token ? await userService.userFromToken(token) : null;
+};
+
+// Sets `req.user` to the signed-in user, or null
+const attachUser = async (req, res, next) => {
+  req.user = await userFromHeaders(req.headers);
+  next();
+};
+
+// Rejects anonymous requests; use after attachUser
+const requireUser = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Sign in to access this resource',
+      code: 'UNAUTHORIZED'
+    });
+  }
+  next();
+};
+
+module.exports = { attachUser, requireUser, userFromHeaders };
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+// Deterministic offline embeddings: a hashed bag of words, L2-normalized.
+// Only useful for tests and development; it captures word overlap, not meaning.
+class HashEmbeddingProvider {
+  constructor({ dimension }) {
+    this.name = 'hash';
+    this.model = `hash-bow-${dimension}`;
+    this.pooling = 'none';
+    this.dimension = dimension;
+  }
+
+  async load() {
+    return this;
+  }
+
+  embedOne(text) {
+    const vector = new Array(this.dimension).fill(0);
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+    for (const word of words) {
+      const digest = crypto.createHash('md5').update(word).digest();
+      const index = digest.readUInt32BE(0) % this.dimension;
+      vector[index] += digest[4] & 1 ? 1 : -1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+}
+
+module.exports = HashEmbeddingProvider;
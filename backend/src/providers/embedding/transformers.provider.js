@@ -0,0 +1,39 @@
+// Local feature-extraction model via transformers.js.
+// The library is required on first load so other providers work without
+// its native dependencies installed.
+class TransformersEmbeddingProvider {
+  constructor({ model, pooling, normalize }) {
+    this.name = 'transformers';
+    this.model = model;
+    this.pooling = pooling;
+    this.normalize = normalize;
+    this.dimension = null;
+    this.extractor = null;
+  }
+
+  async load() {
+    if (!this.extractor) {
+      console.log(`🔄 Loading embedding model ${this.model}...`);
+      const { pipeline } = require("@xenova/transformers");
+      this.extractor = await pipeline("feature-extraction", this.model);
+      console.log('✅ Embedding model loaded');
+    }
+    return this.extractor;
+  }
+
+  async embed(texts) {
+    const extractor = await this.load();
+    const output = await extractor(texts, {
+      pooling: this.pooling,
+      normalize: this.normalize
+    });
+    const vectors = output.tolist();
+
+    if (vectors.length > 0) {
+      this.dimension = vectors[0].length;
+    }
+    return vectors;
+  }
+}
+
+module.exports = TransformersEmbeddingProvider;
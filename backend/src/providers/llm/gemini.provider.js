@@ -0,0 +1,44 @@
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+// Google Gemini via @google/generative-ai
+class GeminiProvider {
+  constructor({ apiKey, model }) {
+    if (!apiKey) {
+      throw new Error('GEMINI_API_KEY is not set in environment variables');
+    }
+    this.name = 'gemini';
+    this.model = model;
+    this.client = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+  }
+
+  async generate({ prompt }) {
+    const result = await this.client.generateContent(prompt);
+    const response = result.response;
+
+    return {
+      text: response.text(),
+      tokensUsed: response.usageMetadata || null
+    };
+  }
+
+  async generateStream({ prompt }, onChunk) {
+    const result = await this.client.generateContentStream(prompt);
+
+    let text = '';
+    for await (const chunk of result.stream) {
+      const chunkText = chunk.text();
+      if (chunkText) {
+        text += chunkText;
+        onChunk(chunkText);
+      }
+    }
+    const response = await result.response;
+
+    return {
+      text,
+      tokensUsed: response.usageMetadata || null
+    };
+  }
+}
+
+module.exports = GeminiProvider;
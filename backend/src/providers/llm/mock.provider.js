@@ -0,0 +1,71 @@
+// Deterministic offline provider for tests and local development.
+// With a context it answers extractively (the context sentences sharing the
+// most words with the query, each cited with its article's [n] number);
+// without one it echoes the query back.
+
+const tokenize = (text) => (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+  .filter(word => word.length > 2);
+
+const splitSentences = (text) => text
+  .split(/(?<=[.!?])\s+/)
+  .map(sentence => sentence.trim())
+  .filter(sentence => sentence.length > 0);
+
+class MockProvider {
+  constructor({ maxSentences }) {
+    this.name = 'mock';
+    this.model = 'mock-extractive';
+    this.maxSentences = maxSentences;
+  }
+
+  answer({ prompt, query, context }) {
+    if (!context) {
+      return query || prompt;
+    }
+
+    const queryWords = new Set(tokenize(query || ''));
+    const sentences = [];
+    let citation = null;
+    for (const line of context.split('\n')) {
+      const marker = line.match(/^\[(\d+)\]$/);
+      if (marker) {
+        citation = marker[1];
+      } else if (line.startsWith('Content: ')) {
+        splitSentences(line.replace('Content: ', ''))
+          .forEach(sentence => sentences.push(citation ? `${sentence} [${citation}]` : sentence));
+      }
+    }
+
+    const ranked = sentences
+      .map((sentence, index) => ({
+        sentence,
+        index,
+        score: tokenize(sentence).filter(word => queryWords.has(word)).length
+      }))
+      .filter(item => item.score > 0)
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, this.maxSentences)
+      .sort((a, b) => a.index - b.index);
+
+    if (ranked.length === 0) {
+      return "The provided news context doesn't contain information about this question.";
+    }
+    return ranked.map(item => item.sentence).join(' ');
+  }
+
+  async generate(request) {
+    const text = this.answer(request);
+    return { text, tokensUsed: { totalTokenCount: tokenize(text).length } };
+  }
+
+  async generateStream(request, onChunk) {
+    const text = this.answer(request);
+    // Emit word by word so streaming clients behave as with a real model
+    for (const piece of text.match(/\S+\s*/g) || []) {
+      onChunk(piece);
+    }
+    return { text, tokensUsed: { totalTokenCount: tokenize(text).length } };
+  }
+}
+
+module.exports = MockProvider;
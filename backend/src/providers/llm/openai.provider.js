@@ -0,0 +1,91 @@
+const axios = require('axios');
+
+// Normalize OpenAI `usage` into the same shape Gemini reports
+const toTokensUsed = (usage) => {
+  if (!usage) return null;
+  return {
+    promptTokenCount: usage.prompt_tokens,
+    candidatesTokenCount: usage.completion_tokens,
+    totalTokenCount: usage.total_tokens
+  };
+};
+
+// Any server speaking the OpenAI chat completions API (OpenAI, Ollama, llama.cpp, vLLM)
+class OpenAICompatibleProvider {
+  constructor({ baseUrl, apiKey, model, timeout }) {
+    this.name = 'openai';
+    this.model = model;
+    this.http = axios.create({
+      baseURL: baseUrl,
+      timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      }
+    });
+  }
+
+  buildBody(prompt, stream) {
+    return {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }],
+      stream,
+      ...(stream ? { stream_options: { include_usage: true } } : {})
+    };
+  }
+
+  async generate({ prompt }) {
+    const { data } = await this.http.post('/chat/completions', this.buildBody(prompt, false));
+
+    return {
+      text: data.choices?.[0]?.message?.content || '',
+      tokensUsed: toTokensUsed(data.usage)
+    };
+  }
+
+  async generateStream({ prompt }, onChunk) {
+    const response = await this.http.post('/chat/completions', this.buildBody(prompt, true), {
+      responseType: 'stream'
+    });
+
+    let text = '';
+    let usage = null;
+    let buffer = '';
+    // Network chunks can end inside a multi-byte character; the decoder keeps
+    // the partial bytes until the rest arrives
+    const decoder = new TextDecoder('utf-8');
+
+    const handleLine = (line) => {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) return;
+
+      const payload = trimmed.slice(5).trim();
+      if (payload === '[DONE]') return;
+
+      const event = JSON.parse(payload);
+      if (event.usage) usage = event.usage;
+
+      const chunkText = event.choices?.[0]?.delta?.content;
+      if (chunkText) {
+        text += chunkText;
+        onChunk(chunkText);
+      }
+    };
+
+    // The body is a stream of `data: {...}` lines terminated by `data: [DONE]`
+    for await (const raw of response.data) {
+      buffer += decoder.decode(raw, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    handleLine(buffer + decoder.decode());
+
+    return {
+      text,
+      tokensUsed: toTokensUsed(usage)
+    };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,29 @@
+// Deterministic offline reranker: the share of distinct query words found in
+// the document. Only useful for tests and development.
+class OverlapRerankProvider {
+  constructor() {
+    this.name = 'overlap';
+    this.model = 'word-overlap';
+  }
+
+  async load() {
+    return this;
+  }
+
+  words(text) {
+    return new Set((text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(word => word.length > 2));
+  }
+
+  async score(query, documents) {
+    const queryWords = this.words(query);
+    if (queryWords.size === 0) return documents.map(() => 0);
+
+    return documents.map(document => {
+      const documentWords = this.words(document);
+      const matched = [...queryWords].filter(word => documentWords.has(word)).length;
+      return matched / queryWords.size;
+    });
+  }
+}
+
+module.exports = OverlapRerankProvider;
@@ -0,0 +1,40 @@
+// Local cross-encoder via transformers.js: scores each (query, document)
+// pair jointly, which ranks far better than comparing separate embeddings.
+// The library is required on first load so other providers work without
+// its native dependencies installed.
+class TransformersRerankProvider {
+  constructor({ model, maxLength }) {
+    this.name = 'transformers';
+    this.model = model;
+    this.maxLength = maxLength;
+    this.tokenizer = null;
+    this.classifier = null;
+  }
+
+  async load() {
+    if (!this.classifier) {
+      console.log(`🔄 Loading rerank model ${this.model}...`);
+      const { AutoTokenizer, AutoModelForSequenceClassification } = require("@xenova/transformers");
+      this.tokenizer = await AutoTokenizer.from_pretrained(this.model);
+      this.classifier = await AutoModelForSequenceClassification.from_pretrained(this.model);
+      console.log('✅ Rerank model loaded');
+    }
+    return this.classifier;
+  }
+
+  // Relevance of each document to the query, squashed to 0-1
+  async score(query, documents) {
+    const classifier = await this.load();
+    const inputs = this.tokenizer(new Array(documents.length).fill(query), {
+      text_pair: documents,
+      padding: true,
+      truncation: true,
+      max_length: this.maxLength
+    });
+    const { logits } = await classifier(inputs);
+
+    return logits.tolist().map(([logit]) => 1 / (1 + Math.exp(-logit)));
+  }
+}
+
+module.exports = TransformersRerankProvider;
@@ -0,0 +1,281 @@
+const express = require('express');
+const jobService = require('../services/job.service');
+const retentionService = require('../services/retention.service');
+const redisService = require('../services/redis.service');
+const { requireAdmin } = require('../middleware/admin.middleware');
+const { isHttpUrl } = require('../utils/validation');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+const MAX_ITEMS_LIMIT = 500;
+const MAX_PINS_PER_REQUEST = 500;
+
+const validateUrlList = (value, field) => {
+  if (value === undefined) return null;
+  if (!Array.isArray(value) || !value.every(isHttpUrl)) {
+    return `${field} must be an array of http(s) URLs`;
+  }
+  return null;
+};
+
+// POST /api/admin/ingest - Start a background ingestion job
+router.post('/ingest', async (req, res) => {
+  try {
+    const { feeds, urls, maxItems } = req.body || {};
+
+    const validationError = validateUrlList(feeds, 'feeds') || validateUrlList(urls, 'urls');
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError,
+        code: 'INVALID_INGEST_REQUEST'
+      });
+    }
+
+    if (maxItems !== undefined && !(Number.isInteger(maxItems) && maxItems > 0 && maxItems <= MAX_ITEMS_LIMIT)) {
+      return res.status(400).json({
+        error: `maxItems must be an integer between 1 and ${MAX_ITEMS_LIMIT}`,
+        code: 'INVALID_INGEST_REQUEST'
+      });
+    }
+
+    const params = {};
+    if (feeds?.length) params.feeds = feeds;
+    if (urls?.length) params.urls = urls;
+    if (maxItems) params.maxItems = maxItems;
+
+    const job = await jobService.startIngestJob(params);
+    if (!job) {
+      return res.status(409).json({
+        error: 'An ingestion or retention job is already running',
+        code: 'INGEST_IN_PROGRESS',
+        jobId: jobService.getBlockingJobId('ingest')
+      });
+    }
+
+    console.log(`🛠️ Started ingest job: ${job.id.slice(0, 8)}...`);
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/admin/ingest/${job.id}`
+    });
+
+  } catch (error) {
+    console.error('❌ Ingest start error:', error);
+    res.status(500).json({
+      error: 'Failed to start ingestion',
+      code: 'INGEST_START_ERROR'
+    });
+  }
+});
+
+// GET /api/admin/ingest - Recent ingestion jobs
+router.get('/ingest', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const jobs = await jobService.listJobs('ingest', limit);
+
+    res.json({
+      jobs,
+      count: jobs.length,
+      activeJobId: jobService.getActiveJobId('ingest')
+    });
+
+  } catch (error) {
+    console.error('❌ Ingest history error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve ingestion jobs',
+      code: 'INGEST_HISTORY_ERROR'
+    });
+  }
+});
+
+// GET /api/admin/ingest/:jobId - Progress of one ingestion job
+router.get('/ingest/:jobId', async (req, res) => {
+  try {
+    const job = await jobService.getJob(req.params.jobId);
+
+    if (!job || job.type !== 'ingest') {
+      return res.status(404).json({
+        error: 'Job not found',
+        code: 'JOB_NOT_FOUND'
+      });
+    }
+
+    res.json(job);
+
+  } catch (error) {
+    console.error('❌ Ingest status error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve job status',
+      code: 'INGEST_STATUS_ERROR'
+    });
+  }
+});
+
+// Retention options from a query string or body; returns an error message or the options
+const parseRetentionOptions = ({ maxAgeDays, mode } = {}) => {
+  const options = {};
+  if (maxAgeDays !== undefined) {
+    options.maxAgeDays = Number(maxAgeDays);
+    if (!(options.maxAgeDays > 0)) {
+      return { error: 'maxAgeDays must be a positive number' };
+    }
+  }
+  if (mode !== undefined) {
+    if (mode !== 'delete' && mode !== 'archive') {
+      return { error: 'mode must be "delete" or "archive"' };
+    }
+    options.mode = mode;
+  }
+  return { options };
+};
+
+const sendRetentionError = (res, error, message, code) => {
+  if (error.code === 'INVALID_RETENTION_REQUEST') {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+  if (error.code === 'PINS_UNAVAILABLE') {
+    return res.status(503).json({ error: error.message, code: error.code });
+  }
+
+  console.error(`❌ ${message}:`, error);
+  res.status(500).json({ error: message, code });
+};
+
+// GET /api/admin/retention - Retention settings and recent retention jobs
+router.get('/retention', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const jobs = await jobService.listJobs('retention', limit);
+
+    res.json({
+      config: retentionService.getConfig(),
+      activeJobId: jobService.getActiveJobId('retention'),
+      jobs
+    });
+
+  } catch (error) {
+    sendRetentionError(res, error, 'Failed to retrieve retention status', 'RETENTION_STATUS_ERROR');
+  }
+});
+
+// GET /api/admin/retention/report - Dry run: articles that would expire
+router.get('/retention/report', async (req, res) => {
+  try {
+    const { options, error } = parseRetentionOptions(req.query);
+    if (error) {
+      return res.status(400).json({ error, code: 'INVALID_RETENTION_REQUEST' });
+    }
+
+    res.json(await retentionService.report(options));
+
+  } catch (error) {
+    sendRetentionError(res, error, 'Failed to build retention report', 'RETENTION_REPORT_ERROR');
+  }
+});
+
+// POST /api/admin/retention/run - Expire old articles in a background job
+router.post('/retention/run', async (req, res) => {
+  try {
+    const { options, error } = parseRetentionOptions(req.body || {});
+    if (error) {
+      return res.status(400).json({ error, code: 'INVALID_RETENTION_REQUEST' });
+    }
+    if (!options.maxAgeDays && !(retentionService.getConfig().maxAgeDays > 0)) {
+      return res.status(400).json({
+        error: 'maxAgeDays is required when RETENTION_DAYS is not set',
+        code: 'INVALID_RETENTION_REQUEST'
+      });
+    }
+
+    const job = await retentionService.trigger(options);
+    if (!job) {
+      return res.status(409).json({
+        error: 'A retention or ingestion job is already running',
+        code: 'RETENTION_IN_PROGRESS',
+        jobId: jobService.getBlockingJobId('retention')
+      });
+    }
+
+    console.log(`🛠️ Started retention job: ${job.id.slice(0, 8)}...`);
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/admin/retention/jobs/${job.id}`
+    });
+
+  } catch (error) {
+    sendRetentionError(res, error, 'Failed to start retention', 'RETENTION_START_ERROR');
+  }
+});
+
+// GET /api/admin/retention/jobs/:jobId - Progress of one retention job
+router.get('/retention/jobs/:jobId', async (req, res) => {
+  try {
+    const job = await jobService.getJob(req.params.jobId);
+
+    if (!job || job.type !== 'retention') {
+      return res.status(404).json({
+        error: 'Job not found',
+        code: 'JOB_NOT_FOUND'
+      });
+    }
+
+    res.json(job);
+
+  } catch (error) {
+    sendRetentionError(res, error, 'Failed to retrieve job status', 'RETENTION_STATUS_ERROR');
+  }
+});
+
+const validateArticleIds = (articleIds) => {
+  if (!Array.isArray(articleIds) || articleIds.length === 0 || articleIds.length > MAX_PINS_PER_REQUEST
+    || !articleIds.every(id => typeof id === 'string' && id.trim())) {
+    return `articleIds must be a non-empty array of at most ${MAX_PINS_PER_REQUEST} article ids`;
+  }
+  return null;
+};
+
+// GET /api/admin/retention/pins - Articles exempt from retention
+router.get('/retention/pins', async (req, res) => {
+  const pinned = await redisService.getPinnedArticles();
+  if (!pinned) {
+    return res.status(503).json({
+      error: 'Pinned articles are unavailable (Redis not connected)',
+      code: 'PINS_UNAVAILABLE'
+    });
+  }
+
+  res.json({ articleIds: pinned.sort(), count: pinned.length });
+});
+
+// POST /api/admin/retention/pins - Pin articles; DELETE unpins them
+const updatePins = (action) => async (req, res) => {
+  const { articleIds } = req.body || {};
+  const validationError = validateArticleIds(articleIds);
+  if (validationError) {
+    return res.status(400).json({ error: validationError, code: 'INVALID_PIN_REQUEST' });
+  }
+
+  const ids = articleIds.map(id => id.trim());
+  const changed = action === 'pin'
+    ? await redisService.pinArticles(ids)
+    : await redisService.unpinArticles(ids);
+
+  if (changed === null) {
+    return res.status(503).json({
+      error: 'Pinned articles are unavailable (Redis not connected)',
+      code: 'PINS_UNAVAILABLE'
+    });
+  }
+
+  console.log(`📌 ${action === 'pin' ? 'Pinned' : 'Unpinned'} ${changed} articles`);
+  res.json({ success: true, changed });
+};
+
+router.post('/retention/pins', updatePins('pin'));
+router.delete('/retention/pins', updatePins('unpin'));
+
+module.exports = router;
@@ -0,0 +1,112 @@
+const express = require('express');
+const userService = require('../services/user.service');
+const sessionService = require('../services/session.service');
+const { attachUser, requireUser } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const MAX_NAME_LENGTH = 100;
+const MAX_SESSIONS = 100;
+
+// { error } describing the first invalid field of a register or login body
+const validateCredentials = ({ email, password, name }, { register = false } = {}) => {
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+    return { error: 'email must be a valid email address' };
+  }
+  if (typeof password !== 'string' || password.length > MAX_PASSWORD_LENGTH) {
+    return { error: `password must be a string of at most ${MAX_PASSWORD_LENGTH} characters` };
+  }
+  if (register && password.length < MIN_PASSWORD_LENGTH) {
+    return { error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+  }
+  if (register && name !== undefined && name !== null && (typeof name !== 'string' || name.length > MAX_NAME_LENGTH)) {
+    return { error: `name must be a string of at most ${MAX_NAME_LENGTH} characters` };
+  }
+  return {};
+};
+
+// Clients send the returned token as `Authorization: Bearer <token>`
+const signIn = (res, user, status = 200) => {
+  const token = userService.issueToken(user);
+  res.status(status).json({ user, token, expiresIn: userService.getConfig().tokenTTL });
+};
+
+// POST /api/auth/register - Create an account and sign in
+router.post('/auth/register', async (req, res) => {
+  try {
+    const { error } = validateCredentials(req.body, { register: true });
+    if (error) {
+      return res.status(400).json({ error, code: 'INVALID_CREDENTIALS_FORMAT' });
+    }
+
+    const { email, password, name } = req.body;
+    const user = await userService.register({ email, password, name });
+    signIn(res, user, 201);
+
+  } catch (error) {
+    if (error.code === 'EMAIL_TAKEN') {
+      return res.status(409).json({ error: error.message, code: 'EMAIL_TAKEN' });
+    }
+    console.error('❌ Registration error:', error);
+    res.status(500).json({
+      error: 'Failed to register',
+      code: 'AUTH_ERROR',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// POST /api/auth/login - Sign in with email and password
+router.post('/auth/login', async (req, res) => {
+  try {
+    const { error } = validateCredentials(req.body);
+    if (error) {
+      return res.status(400).json({ error, code: 'INVALID_CREDENTIALS_FORMAT' });
+    }
+
+    const user = await userService.authenticate(req.body.email, req.body.password);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid email or password', code: 'INVALID_CREDENTIALS' });
+    }
+    signIn(res, user);
+
+  } catch (error) {
+    console.error('❌ Login error:', error);
+    res.status(500).json({
+      error: 'Failed to sign in',
+      code: 'AUTH_ERROR',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/me - The signed-in user
+router.get('/me', attachUser, requireUser, (req, res) => {
+  res.json({ user: req.user });
+});
+
+// GET /api/me/sessions?limit= - The signed-in user's conversations, most
+// recently active first
+router.get('/me/sessions', attachUser, requireUser, async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SESSIONS) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_SESSIONS}`, code: 'INVALID_LIMIT' });
+    }
+
+    const sessions = await sessionService.listForUser(req.user.id, limit);
+    res.json({ sessions, count: sessions.length });
+
+  } catch (error) {
+    console.error('❌ Session listing error:', error);
+    res.status(500).json({
+      error: 'Failed to list sessions',
+      code: 'SESSIONS_ERROR'
+    });
+  }
+});
+
+module.exports = router;
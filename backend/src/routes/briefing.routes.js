@@ -0,0 +1,57 @@
+const express = require('express');
+const briefingService = require('../services/briefing.service');
+const { filtersFromQuery } = require('../utils/chatFilters');
+const { requireAdminForRefresh } = require('../middleware/admin.middleware');
+
+const router = express.Router();
+
+const MAX_HOURS = 24 * 7;
+const MAX_STORIES = 20;
+// Query parameters → { filters, options } or { error }: the filters of
+// utils/chatFilters `filtersFromQuery`, plus
+//   hours   rolling window when no dates are given
+//   limit   number of stories; refresh=true skips the cache (admin only)
+const parseBriefingQuery = (query) => {
+  const { filters, error } = filtersFromQuery(query);
+  if (error) return { error };
+
+  const options = { refresh: query.refresh === 'true' };
+  if (query.hours !== undefined) {
+    const hours = Number(query.hours);
+    if (!Number.isInteger(hours) || hours < 1 || hours > MAX_HOURS) {
+      return { error: `hours must be an integer between 1 and ${MAX_HOURS}` };
+    }
+    options.hours = hours;
+  }
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_STORIES) {
+      return { error: `limit must be an integer between 1 and ${MAX_STORIES}` };
+    }
+    options.limit = limit;
+  }
+
+  return { filters, options };
+};
+
+// GET /api/briefing - Top stories of the period, clustered and summarized
+router.get('/', requireAdminForRefresh, async (req, res) => {
+  try {
+    const { filters, options, error } = parseBriefingQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error, code: 'INVALID_BRIEFING_REQUEST' });
+    }
+
+    res.json(await briefingService.getBriefing(filters, options));
+
+  } catch (error) {
+    console.error('❌ Briefing error:', error);
+    res.status(500).json({
+      error: 'Failed to build briefing',
+      code: 'BRIEFING_ERROR',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -3,11 +3,53 @@ const { v4: uuidv4 } = require('uuid');
 const chatbotService = require('../services/chatbot.service');
 const sessionService = require('../services/session.service');
 const redisService = require('../services/redis.service');
+const { validateFilters } = require('../utils/chatFilters');
+const { attachUser } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
-// Middleware to validate session ID
-const validateSession = (req, res, next) => {
+// Signed-in user (if any) for session ownership checks
+router.use(attachUser);
+
+const sessionForbidden = {
+  error: 'This session belongs to another user',
+  code: 'SESSION_FORBIDDEN'
+};
+
+const sessionUnavailable = {
+  error: 'Cannot verify access to this session right now',
+  code: 'SESSION_CHECK_UNAVAILABLE'
+};
+
+// Key of an anonymous session, issued when it was started
+const sessionKeyOf = (req) => req.get('X-Session-Key') || null;
+
+// Whether the caller may use the session; otherwise answers 403, or 503 when
+// ownership cannot be checked (access is never granted on a failed lookup)
+const authorizeSession = async (req, res, sessionId) => {
+  try {
+    if (await sessionService.canAccess(sessionId, { user: req.user, sessionKey: sessionKeyOf(req) })) return true;
+    res.status(403).json(sessionForbidden);
+  } catch (error) {
+    console.error('❌ Session access check failed:', error.message);
+    res.status(503).json(sessionUnavailable);
+  }
+  return false;
+};
+
+// Records the caller as the session's owner or key holder; returns the
+// session key to hand back, or undefined after answering 503
+const bindSession = async (req, res, sessionId) => {
+  try {
+    return await sessionService.bind(sessionId, { user: req.user, sessionKey: sessionKeyOf(req) });
+  } catch (error) {
+    console.error('❌ Session binding failed:', error.message);
+    res.status(503).json(sessionUnavailable);
+  }
+};
+
+// Middleware to validate session ID and that the caller may use the session
+const validateSession = async (req, res, next) => {
   const sessionId = req.params.id || req.body.sessionId;
   if (!sessionId) {
     return res.status(400).json({
@@ -15,52 +57,204 @@ const validateSession = (req, res, next) => {
       code: 'MISSING_SESSION_ID'
     });
   }
+  if (!await authorizeSession(req, res, sessionId)) return;
   req.sessionId = sessionId;
   next();
 };
 
+// Write a single Server-Sent Events frame
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+const wantsEventStream = (req) => (req.get('Accept') || '').includes('text/event-stream');
+
+// Stream a chat answer as Server-Sent Events. Emits `retrieval` once the
+// context is built, `chunk` for each piece of answer text and a final `done`
+// (or `error`) frame. The assistant message is only saved when the stream
+// completes, so an aborted request leaves no half-written answer behind.
+const streamChat = async (req, res) => {
+  const { message, sessionId } = req.body || {};
+
+  if (typeof message !== 'string' || !message.trim()) {
+    return res.status(400).json({
+      error: 'Message is required',
+      code: 'MISSING_MESSAGE'
+    });
+  }
+
+  const { filters, error: filtersError } = validateFilters(req.body.filters);
+  if (filtersError) {
+    return res.status(400).json({
+      error: filtersError,
+      code: 'INVALID_FILTERS'
+    });
+  }
+
+  if (sessionId && !await authorizeSession(req, res, sessionId)) return;
+
+  const currentSessionId = sessionId || uuidv4();
+  console.log(`📡 Streaming message for session: ${currentSessionId.slice(0, 8)}...`);
+
+  const sessionKey = await bindSession(req, res, currentSessionId);
+  if (sessionKey === undefined) return;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let clientClosed = false;
+  res.on('close', () => {
+    clientClosed = true;
+  });
+
+  writeEvent(res, 'session', { sessionId: currentSessionId, sessionKey });
+
+  try {
+    // Get conversation history for context
+    const conversationHistory = await sessionService.getContextForRAG(currentSessionId, 5);
+
+    const activeFilters = await sessionService.resolveFilters(currentSessionId, filters);
+
+    // Add user message to session
+    await sessionService.addMessage(currentSessionId, 'user', message.trim());
+
+    const response = await chatbotService.processQuery(message.trim(), conversationHistory, {
+      filters: activeFilters,
+      onSources: (sources) => {
+        if (!clientClosed) writeEvent(res, 'retrieval', { sources });
+      },
+      onChunk: (text) => {
+        if (!clientClosed) writeEvent(res, 'chunk', { text });
+      }
+    });
+
+    if (clientClosed) {
+      console.log(`⚠️ Client closed stream for session: ${currentSessionId.slice(0, 8)}..., answer not saved`);
+      return;
+    }
+
+    // Add assistant response to session
+    await sessionService.addMessage(currentSessionId, 'assistant', response.content, {
+      sources: response.sources,
+      tokensUsed: response.tokensUsed,
+      grounding: response.grounding || null
+    });
+
+    writeEvent(res, 'done', {
+      sessionId: currentSessionId,
+      sessionKey,
+      response: response.content,
+      sources: response.sources,
+      metadata: {
+        tokensUsed: response.tokensUsed,
+        timestamp: new Date().toISOString(),
+        contextLength: conversationHistory.length,
+        timeWindow: response.timeWindow || null,
+        rewrittenQuery: response.rewrittenQuery || null,
+        subQueries: response.subQueries || null,
+        language: response.language || null,
+        grounding: response.grounding || null,
+        filters: activeFilters,
+        ...(req.body.debug === true && { debug: { retrieval: response.retrieval || [] } })
+      }
+    });
+
+    console.log(`✅ Response streamed for session: ${currentSessionId.slice(0, 8)}...`);
+  } catch (error) {
+    console.error('❌ Chat stream error:', error);
+    if (!clientClosed) {
+      writeEvent(res, 'error', {
+        error: 'Failed to process message',
+        code: 'PROCESSING_ERROR',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  } finally {
+    res.end();
+  }
+};
+
+// POST /api/chat/stream - Stream chat answer as Server-Sent Events
+router.post('/chat/stream', streamChat);
+
 // POST /api/chat - Handle new chat messages
 router.post('/chat', async (req, res) => {
+  if (wantsEventStream(req)) {
+    return streamChat(req, res);
+  }
+
   try {
-    const { message, sessionId } = req.body;
+    const { message, sessionId } = req.body || {};
 
-    if (!message || !message.trim()) {
+    if (typeof message !== 'string' || !message.trim()) {
       return res.status(400).json({
         error: 'Message is required',
         code: 'MISSING_MESSAGE'
       });
     }
 
+    const { filters, error: filtersError } = validateFilters(req.body.filters);
+    if (filtersError) {
+      return res.status(400).json({
+        error: filtersError,
+        code: 'INVALID_FILTERS'
+      });
+    }
+
+    if (sessionId && !await authorizeSession(req, res, sessionId)) return;
+
     // Generate session ID if not provided
     const currentSessionId = sessionId || uuidv4();
     console.log(`💬 Processing message for session: ${currentSessionId.slice(0, 8)}...`);
 
+    const sessionKey = await bindSession(req, res, currentSessionId);
+    if (sessionKey === undefined) return;
+
     // Get conversation history for context
     const conversationHistory = await sessionService.getContextForRAG(currentSessionId, 5);
 
+    const activeFilters = await sessionService.resolveFilters(currentSessionId, filters);
+
     // Add user message to session
     await sessionService.addMessage(currentSessionId, 'user', message.trim());
 
     // Process query with RAG pipeline
     console.log(`🔍 Processing query: "${message.trim().substring(0, 50)}..."`);
-    const response = await chatbotService.processQuery(message.trim(), conversationHistory);
+    const response = await chatbotService.processQuery(message.trim(), conversationHistory, {
+      filters: activeFilters
+    });
 
     // Add assistant response to session
     await sessionService.addMessage(currentSessionId, 'assistant', response.content, {
       sources: response.sources,
-      tokensUsed: response.tokensUsed
+      tokensUsed: response.tokensUsed,
+      grounding: response.grounding || null
     });
 
     console.log(`✅ Response generated for session: ${currentSessionId.slice(0, 8)}...`);
 
     res.json({
       sessionId: currentSessionId,
+      sessionKey,
       response: response.content,
       sources: response.sources,
       metadata: {
         tokensUsed: response.tokensUsed,
         timestamp: new Date().toISOString(),
-        contextLength: conversationHistory.length
+        contextLength: conversationHistory.length,
+        timeWindow: response.timeWindow || null,
+        rewrittenQuery: response.rewrittenQuery || null,
+        subQueries: response.subQueries || null,
+        language: response.language || null,
+        grounding: response.grounding || null,
+        filters: activeFilters,
+        ...(req.body.debug === true && { debug: { retrieval: response.retrieval || [] } })
       }
     });
 
@@ -79,12 +273,14 @@ router.get('/session/:id/history', validateSession, async (req, res) => {
   try {
     const history = await sessionService.getHistory(req.sessionId);
     const stats = await sessionService.getSessionStats(req.sessionId);
+    const filters = await sessionService.getFilters(req.sessionId);
 
     res.json({
       sessionId: req.sessionId,
       history,
       count: history.length,
-      stats
+      stats,
+      filters
     });
 
   } catch (error) {
@@ -122,13 +318,17 @@ router.delete('/session/:id', validateSession, async (req, res) => {
   }
 });
 
-// POST /api/session/new - Create new session
-router.post('/session/new', (req, res) => {
+// POST /api/session/new - Create new session. Anonymous callers get the
+// session key to send as X-Session-Key; signed-in callers own the session.
+router.post('/session/new', async (req, res) => {
   const sessionId = sessionService.generateSessionId();
+  const sessionKey = await bindSession(req, res, sessionId);
+  if (sessionKey === undefined) return;
   console.log(`🆕 Created new session: ${sessionId.slice(0, 8)}...`);
   
   res.json({
     sessionId,
+    sessionKey,
     message: 'New session created',
     timestamp: new Date().toISOString()
   });
@@ -0,0 +1,83 @@
+const express = require('express');
+const entityService = require('../services/entity.service');
+const { validateFilters } = require('../utils/chatFilters');
+const { ENTITY_TYPES } = require('../utils/entityExtractor');
+
+const router = express.Router();
+
+const MAX_ENTITIES = 50;
+const MAX_ARTICLES = 200;
+const MAX_QUERY_LENGTH = 100;
+
+// Integer query parameter in 1..max, its default when absent, or { error }
+const parseLimit = (value, fallback, max) => {
+  if (value === undefined) return { limit: fallback };
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > max) {
+    return { error: `limit must be an integer between 1 and ${max}` };
+  }
+  return { limit };
+};
+
+// GET /api/entities?q=&type=&limit= - Entities whose name contains q, or the
+// most covered ones without q
+router.get('/', async (req, res) => {
+  try {
+    const { q = '', type } = req.query;
+    if (typeof q !== 'string' || q.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({ error: `q must be a string of at most ${MAX_QUERY_LENGTH} characters`, code: 'INVALID_ENTITY_REQUEST' });
+    }
+    if (type !== undefined && !ENTITY_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${ENTITY_TYPES.join(', ')}`, code: 'INVALID_ENTITY_REQUEST' });
+    }
+    const { limit, error } = parseLimit(req.query.limit, 20, MAX_ENTITIES);
+    if (error) {
+      return res.status(400).json({ error, code: 'INVALID_ENTITY_REQUEST' });
+    }
+
+    const entities = await entityService.search(q.trim(), { type: type || null, limit });
+    res.json({ entities, count: entities.length });
+
+  } catch (error) {
+    console.error('❌ Entity lookup error:', error);
+    res.status(500).json({
+      error: 'Failed to look up entities',
+      code: 'ENTITY_ERROR',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/entities/:name/articles?from=&to=&limit= - Coverage timeline of
+// one entity, newest articles first
+router.get('/:name/articles', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const { filters, error: filterError } = validateFilters(
+      from !== undefined || to !== undefined ? { dateRange: { from, to } } : {}
+    );
+    if (filterError) {
+      return res.status(400).json({ error: filterError, code: 'INVALID_ENTITY_REQUEST' });
+    }
+    const { limit, error } = parseLimit(req.query.limit, 50, MAX_ARTICLES);
+    if (error) {
+      return res.status(400).json({ error, code: 'INVALID_ENTITY_REQUEST' });
+    }
+
+    const coverage = await entityService.getArticles(req.params.name, { dateRange: filters?.dateRange || null, limit });
+    if (!coverage) {
+      return res.status(404).json({ error: 'Entity not found', code: 'ENTITY_NOT_FOUND' });
+    }
+    res.json(coverage);
+
+  } catch (error) {
+    console.error('❌ Entity lookup error:', error);
+    res.status(500).json({
+      error: 'Failed to look up entities',
+      code: 'ENTITY_ERROR',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,152 @@
+const express = require('express');
+const feedService = require('../services/feed.service');
+const { requireAdmin } = require('../middleware/admin.middleware');
+const { isHttpUrl } = require('../utils/validation');
+
+const router = express.Router();
+
+const MAX_ITEMS_LIMIT = 500;
+const LANGUAGE_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
+
+const isOptionalString = (value) => value === null || typeof value === 'string';
+
+// Validators per editable field; each returns an error message or null
+const FIELD_VALIDATORS = {
+  url: (value) => isHttpUrl(value) ? null : 'url must be an http(s) URL',
+  name: (value) => typeof value === 'string' && value.trim() ? null : 'name must be a non-empty string',
+  category: (value) => isOptionalString(value) ? null : 'category must be a string or null',
+  language: (value) => value === null || (typeof value === 'string' && LANGUAGE_PATTERN.test(value))
+    ? null
+    : 'language must be a language code like "en" or "en-US", or null',
+  maxItems: (value) => Number.isInteger(value) && value > 0 && value <= MAX_ITEMS_LIMIT
+    ? null
+    : `maxItems must be an integer between 1 and ${MAX_ITEMS_LIMIT}`,
+  enabled: (value) => typeof value === 'boolean' ? null : 'enabled must be a boolean',
+  pollIntervalMinutes: (value) => value === null || (typeof value === 'number' && value >= 1)
+    ? null
+    : 'pollIntervalMinutes must be a number of at least 1, or null'
+};
+
+// Pick the known fields from a request body and validate them
+const parseFeedFields = (body) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Request body must be a JSON object' };
+  }
+
+  const unknown = Object.keys(body).filter(key => !FIELD_VALIDATORS[key]);
+  if (unknown.length > 0) {
+    return { error: `Unknown fields: ${unknown.join(', ')}` };
+  }
+
+  const fields = {};
+  for (const [key, validate] of Object.entries(FIELD_VALIDATORS)) {
+    if (body[key] === undefined) continue;
+    const error = validate(body[key]);
+    if (error) return { error };
+    fields[key] = typeof body[key] === 'string' ? body[key].trim() : body[key];
+  }
+  return { fields };
+};
+
+const sendFeedError = (res, error, message) => {
+  if (error.code === 'FEED_EXISTS') {
+    return res.status(409).json({
+      error: error.message,
+      code: 'FEED_EXISTS'
+    });
+  }
+
+  console.error(`❌ ${message}:`, error);
+  res.status(500).json({
+    error: message,
+    code: 'FEED_REGISTRY_ERROR'
+  });
+};
+
+// GET /api/feeds - List registered feeds
+router.get('/', async (req, res) => {
+  try {
+    const feeds = await feedService.listFeeds();
+    res.json({ feeds, count: feeds.length });
+  } catch (error) {
+    sendFeedError(res, error, 'Failed to list feeds');
+  }
+});
+
+// GET /api/feeds/:id - Get a single feed
+router.get('/:id', async (req, res) => {
+  try {
+    const feed = await feedService.getFeed(req.params.id);
+    if (!feed) {
+      return res.status(404).json({
+        error: 'Feed not found',
+        code: 'FEED_NOT_FOUND'
+      });
+    }
+    res.json(feed);
+  } catch (error) {
+    sendFeedError(res, error, 'Failed to get feed');
+  }
+});
+
+// POST /api/feeds - Register a feed (admin)
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const { fields, error } = parseFeedFields(req.body);
+    if (error || !fields.url) {
+      return res.status(400).json({
+        error: error || 'url is required',
+        code: 'INVALID_FEED'
+      });
+    }
+
+    const feed = await feedService.createFeed(fields);
+    console.log(`📰 Registered feed: ${feed.url}`);
+    res.status(201).json(feed);
+  } catch (error) {
+    sendFeedError(res, error, 'Failed to create feed');
+  }
+});
+
+// PUT /api/feeds/:id - Update some or all of a feed's settings (admin)
+router.put('/:id', requireAdmin, async (req, res) => {
+  try {
+    const { fields, error } = parseFeedFields(req.body);
+    if (error) {
+      return res.status(400).json({
+        error,
+        code: 'INVALID_FEED'
+      });
+    }
+
+    const feed = await feedService.updateFeed(req.params.id, fields);
+    if (!feed) {
+      return res.status(404).json({
+        error: 'Feed not found',
+        code: 'FEED_NOT_FOUND'
+      });
+    }
+    res.json(feed);
+  } catch (error) {
+    sendFeedError(res, error, 'Failed to update feed');
+  }
+});
+
+// DELETE /api/feeds/:id - Remove a feed (admin)
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    const deleted = await feedService.deleteFeed(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Feed not found',
+        code: 'FEED_NOT_FOUND'
+      });
+    }
+    console.log(`🗑️ Removed feed: ${req.params.id}`);
+    res.json({ success: true, message: 'Feed deleted' });
+  } catch (error) {
+    sendFeedError(res, error, 'Failed to delete feed');
+  }
+});
+
+module.exports = router;
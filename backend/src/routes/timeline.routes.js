@@ -0,0 +1,60 @@
+const express = require('express');
+const timelineService = require('../services/timeline.service');
+const { filtersFromQuery } = require('../utils/chatFilters');
+const { requireAdminForRefresh } = require('../middleware/admin.middleware');
+
+const router = express.Router();
+
+const MAX_QUERY_LENGTH = 500;
+const MAX_ARTICLES = 50;
+
+// Query parameters → { query, filters, options } or { error }:
+//   q       the topic or question (required)
+//   plus the filters of utils/chatFilters `filtersFromQuery`,
+//   limit   most relevant articles to place; refresh=true skips the cache
+//           (admin only)
+const parseTimelineQuery = (params) => {
+  const query = typeof params.q === 'string' ? params.q.trim() : '';
+  if (!query) {
+    return { error: 'q is required' };
+  }
+  if (query.length > MAX_QUERY_LENGTH) {
+    return { error: `q must be at most ${MAX_QUERY_LENGTH} characters` };
+  }
+
+  const { filters, error } = filtersFromQuery(params);
+  if (error) return { error };
+
+  const options = { refresh: params.refresh === 'true' };
+  if (params.limit !== undefined) {
+    const limit = Number(params.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_ARTICLES) {
+      return { error: `limit must be an integer between 1 and ${MAX_ARTICLES}` };
+    }
+    options.limit = limit;
+  }
+
+  return { query, filters, options };
+};
+
+// GET /api/timeline?q= - How a topic developed, summarized per day
+router.get('/', requireAdminForRefresh, async (req, res) => {
+  try {
+    const { query, filters, options, error } = parseTimelineQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error, code: 'INVALID_TIMELINE_REQUEST' });
+    }
+
+    res.json(await timelineService.getTimeline(query, filters, options));
+
+  } catch (error) {
+    console.error('❌ Timeline error:', error);
+    res.status(500).json({
+      error: 'Failed to build timeline',
+      code: 'TIMELINE_ERROR',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const redisService = require('./redis.service');
+const llmService = require('./llm.service');
+const storyService = require('./story.service');
+const { getCollection } = require('./chatbot.service');
+const { buildFilterClauses } = require('../utils/chatFilters');
+const { splitSentences, stripCitations } = require('../utils/citations');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { HOUR_MS, publishedAt } = require('../utils/dates');
+const { normalize, dot } = require('../utils/vectors');
+
+// ---------- CONFIG ----------
+const BRIEFING_CACHE_TTL = parseInt(process.env.BRIEFING_CACHE_TTL) || 1800; // 30 minutes
+// Rolling window covered when no date range is requested
+const BRIEFING_HOURS = parseInt(process.env.BRIEFING_HOURS) || 24;
+const BRIEFING_MAX_STORIES = parseInt(process.env.BRIEFING_MAX_STORIES) || 8;
+// Articles whose embeddings are at least this similar to a story's centroid
+// join that story
+const BRIEFING_SIMILARITY = parseFloat(process.env.BRIEFING_SIMILARITY) || 0.75;
+// Story summaries generated at the same time
+const BRIEFING_CONCURRENCY = parseInt(process.env.BRIEFING_CONCURRENCY) || 3;
+const MAX_ARTICLES = 300;
+const MAX_CHUNKS = 5000;
+const SCAN_PAGE_SIZE = 500;
+// First slice of the window read by scanArticles; each older one is twice as long
+const SCAN_SLICE_HOURS = 6;
+const PROMPT_ARTICLES = 4;
+const EXCERPT_LENGTH = 600;
+
+const mostCommon = (values) => {
+  const counts = new Map();
+  values.filter(Boolean).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+};
+
+const toSeconds = (ms) => Math.floor(ms / 1000);
+
+// "Give me today's top stories" without a question: recent articles are
+// grouped into stories (the ones assigned at ingestion, then by embedding
+// similarity), the stories covered by the most outlets come first, and each
+// is summarized through the LLM layer.
+class BriefingService {
+  getConfig() {
+    return {
+      cacheTTL: BRIEFING_CACHE_TTL,
+      hours: BRIEFING_HOURS,
+      maxStories: BRIEFING_MAX_STORIES,
+      similarity: BRIEFING_SIMILARITY,
+      concurrency: BRIEFING_CONCURRENCY
+    };
+  }
+
+  // Articles matching `clauses` and published in [from, to) (ms; no end
+  // when `to` is null), with their chunks and mean chunk embedding, newest
+  // first. Chroma returns chunks in no particular order, so the window is
+  // read in slices from its end backwards until MAX_CHUNKS chunks are in; a
+  // busy window then keeps its newest articles instead of an arbitrary sample.
+  async scanArticles(clauses, { from, to = null }) {
+    const collection = await getCollection();
+    const articles = new Map();
+    let scanned = 0;
+
+    let sliceEnd = to ?? Date.now();
+    // The newest slice of an open-ended window also takes future dates
+    let openEnd = to === null;
+    for (let sliceMs = SCAN_SLICE_HOURS * HOUR_MS; sliceEnd > from && scanned < MAX_CHUNKS; sliceMs *= 2) {
+      const sliceStart = Math.max(from, sliceEnd - sliceMs);
+      const conditions = [...clauses, { published_ts: { $gte: toSeconds(sliceStart) } }];
+      if (!openEnd) {
+        conditions.push({ published_ts: { $lt: toSeconds(sliceEnd) } });
+      }
+      const where = conditions.length > 1 ? { $and: conditions } : conditions[0];
+      sliceEnd = sliceStart;
+      openEnd = false;
+
+      for (let offset = 0; scanned < MAX_CHUNKS; offset += SCAN_PAGE_SIZE) {
+        const limit = Math.min(SCAN_PAGE_SIZE, MAX_CHUNKS - scanned);
+        const page = await collection.get({
+          where,
+          limit,
+          offset,
+          include: ['documents', 'metadatas', 'embeddings']
+        });
+        const ids = page.ids || [];
+        scanned += ids.length;
+
+        ids.forEach((id, i) => {
+          const meta = page.metadatas?.[i] || {};
+          const articleId = meta.article_id || meta.url || id;
+          if (!articles.has(articleId)) {
+            articles.set(articleId, { id: articleId, metadata: meta, chunks: [], embedding: null });
+          }
+          const article = articles.get(articleId);
+          if ((meta.chunk_index ?? 0) === 0) article.metadata = meta;
+          article.chunks.push({ index: meta.chunk_index ?? 0, text: page.documents?.[i] || '' });
+
+          const embedding = page.embeddings?.[i];
+          if (embedding) {
+            article.embedding = article.embedding
+              ? article.embedding.map((value, j) => value + embedding[j])
+              : Array.from(embedding);
+          }
+        });
+        if (ids.length < limit) break;
+      }
+    }
+
+    return [...articles.values()]
+      .map(article => ({
+        ...article,
+        chunks: article.chunks.sort((a, b) => a.index - b.index),
+        embedding: article.embedding && normalize(article.embedding)
+      }))
+      .sort((a, b) => (publishedAt(b.metadata) ?? 0) - (publishedAt(a.metadata) ?? 0))
+      .slice(0, MAX_ARTICLES);
+  }
+
+  // Single pass: each article joins the story assigned at ingestion
+  // (`story_id`) if it is already here, else the most similar story above
+  // the threshold, or starts a new one
+  cluster(articles) {
+    const stories = [];
+
+    for (const article of articles) {
+      const storyId = storyService.storyOf(article.metadata);
+      let best = stories.find(story => story.storyIds.has(storyId)) || null;
+      let bestSimilarity = BRIEFING_SIMILARITY;
+      if (!best && article.embedding) {
+        for (const story of stories) {
+          if (!story.centroid) continue;
+          const similarity = dot(article.embedding, normalize(story.centroid));
+          if (similarity >= bestSimilarity) {
+            best = story;
+            bestSimilarity = similarity;
+          }
+        }
+      }
+
+      if (best) {
+        best.articles.push(article);
+        best.storyIds.add(storyId);
+        if (article.embedding) {
+          best.centroid = best.centroid
+            ? best.centroid.map((value, i) => value + article.embedding[i])
+            : [...article.embedding];
+        }
+      } else {
+        stories.push({
+          articles: [article],
+          storyIds: new Set([storyId]),
+          centroid: article.embedding ? [...article.embedding] : null
+        });
+      }
+    }
+
+    // Stories carried by more outlets (then more articles) matter more;
+    // articles are already newest first, so ties favour fresher stories
+    const outlets = (story) => new Set(story.articles.map(article => article.metadata.source)).size;
+    return stories
+      .map((story, order) => ({ ...story, order }))
+      .sort((a, b) => outlets(b) - outlets(a) || b.articles.length - a.articles.length || a.order - b.order);
+  }
+
+  async summarize(story) {
+    const lead = story.articles[0].metadata;
+    const excerpts = story.articles.slice(0, PROMPT_ARTICLES).map(article => {
+      const text = article.chunks.map(chunk => chunk.text).join(' ').replace(/\s+/g, ' ');
+      return { meta: article.metadata, text: text.slice(0, EXCERPT_LENGTH) };
+    });
+    const context = excerpts.map(({ meta, text }, i) => `
+[${i + 1}]
+Title: ${meta.title || 'Unknown'}
+Source: ${meta.source || 'Unknown'}
+Content: ${text}
+---`).join('').trim();
+
+    const prompt = `You are writing a news briefing. Summarize the story these articles cover, using ONLY the information in them.
+
+Articles:
+${context}
+
+Reply in exactly this format:
+Headline: <one-line headline of at most 12 words>
+Summary: <two or three sentences with the key facts>`;
+
+    const fallbackSummary = () => splitSentences(excerpts[0].text).slice(0, 2).join(' ');
+    try {
+      const { text } = await llmService.generate({ prompt, query: lead.title || '', context });
+      const headline = text.match(/^\s*headline:\s*(.+)$/im)?.[1];
+      const summary = text.match(/^\s*summary:\s*([\s\S]+)$/im)?.[1] || text.replace(/^\s*headline:.*$/im, '');
+      return {
+        headline: stripCitations(headline || lead.title || 'Untitled story'),
+        summary: stripCitations(summary) || fallbackSummary()
+      };
+    } catch (error) {
+      console.warn(`⚠️ Briefing summary failed for "${lead.title}": ${error.message}`);
+      return { headline: lead.title || 'Untitled story', summary: fallbackSummary() };
+    }
+  }
+
+  async build(filters, { hours, limit }) {
+    const now = Date.now();
+    const window = filters?.dateRange || { from: new Date(now - hours * HOUR_MS).toISOString() };
+    // A range with only an end covers the `hours` before it
+    const to = window.to ? Date.parse(window.to) : null;
+    const from = window.from ? Date.parse(window.from) : to - hours * HOUR_MS;
+    const clauses = buildFilterClauses({ ...filters, dateRange: null });
+
+    const articles = await this.scanArticles(clauses, { from, to });
+    const stories = this.cluster(articles);
+    const top = stories.slice(0, limit);
+    const summaries = await mapWithConcurrency(top, BRIEFING_CONCURRENCY, story => this.summarize(story));
+
+    return {
+      generatedAt: new Date(now).toISOString(),
+      window: { from: new Date(from).toISOString(), to: window.to || null },
+      filters: filters || null,
+      articleCount: articles.length,
+      storyCount: stories.length,
+      stories: top.map((story, i) => ({
+        headline: summaries[i].headline,
+        summary: summaries[i].summary,
+        category: mostCommon(story.articles.map(article => article.metadata.category)),
+        publishedAt: new Date(publishedAt(story.articles[0].metadata) ?? now).toISOString(),
+        outlets: [...new Set(story.articles.map(article => article.metadata.source).filter(Boolean))],
+        articles: story.articles.map(({ metadata }) => ({
+          title: metadata.title || 'Unknown',
+          source: metadata.source || 'Unknown',
+          url: metadata.url || null,
+          date: metadata.date || null
+        }))
+      }))
+    };
+  }
+
+  // `filters` are validated chat filters (sources, categories, languages,
+  // dateRange); without a dateRange the last `hours` are covered. Cached per
+  // request for BRIEFING_CACHE_TTL seconds; `refresh` rebuilds it.
+  async getBriefing(filters = null, { hours = BRIEFING_HOURS, limit = BRIEFING_MAX_STORIES, refresh = false } = {}) {
+    const briefingKey = crypto.createHash('md5')
+      .update(JSON.stringify({ filters, hours: filters?.dateRange ? null : hours, limit }))
+      .digest('hex');
+
+    if (!refresh) {
+      const cached = await redisService.getCachedBriefing(briefingKey);
+      if (cached) {
+        console.log(`📦 Briefing cache HIT (${briefingKey.slice(0, 8)})`);
+        return { ...cached, cached: true };
+      }
+    }
+
+    console.log('📰 Building news briefing...');
+    const briefing = await this.build(filters, { hours, limit });
+    await redisService.cacheBriefing(briefingKey, briefing, BRIEFING_CACHE_TTL);
+    console.log(`✅ Briefing built: ${briefing.stories.length} stories from ${briefing.articleCount} articles`);
+
+    return { ...briefing, cached: false };
+  }
+}
+
+module.exports = new BriefingService();
@@ -1,47 +1,141 @@
-const { pipeline } = require("@xenova/transformers");
-const { ChromaClient } = require("chromadb");
-const { GoogleGenerativeAI } = require("@google/generative-ai");
 const crypto = require('crypto');
 const redisService = require('./redis.service');
-const path = require('path');
+const llmService = require('./llm.service');
+const embeddingService = require('./embedding.service');
+const keywordIndex = require('./keyword.service');
+const rerankService = require('./rerank.service');
+const rewriteService = require('./rewrite.service');
+const plannerService = require('./planner.service');
+const groundingService = require('./grounding.service');
+const storyService = require('./story.service');
+const entityService = require('./entity.service');
+const { createChromaClient, COLLECTION_NAME } = require('../config/chroma.config');
+const { mergeChunks } = require('../utils/chunker');
+const { parseTimeExpression } = require('../utils/timeExpressions');
+const { buildFilterClauses } = require('../utils/chatFilters');
+const { applyCitations } = require('../utils/citations');
+const { DAY_MS, publishedAt } = require('../utils/dates');
+const { entitiesFromMetadata, entityKey } = require('../utils/entityExtractor');
+const { detectLanguage, baseLanguage, languageName } = require('../utils/languageDetector');
 
 // ---------- CONFIG ----------
-const CHROMA_PATH = path.join(__dirname, "../../scripts/news_output/chroma_db");
-const COLLECTION_NAME = "news_articles";
-const EMBED_MODEL = "Xenova/jina-embeddings-v2-base-en";
 const TOP_K = parseInt(process.env.TOP_K_RESULTS) || 5;
 const MAX_CONTEXT_LENGTH = parseInt(process.env.MAX_CONTEXT_LENGTH) || 4000;
-
-// Initialize Gemini
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash-exp" });
+// Articles are stored as several chunks, so fetch more hits than TOP_K
+// articles and group them afterwards
+const RETRIEVAL_CANDIDATES = parseInt(process.env.RETRIEVAL_CANDIDATES) || TOP_K * 4;
+// Recency boost: up to RECENCY_WEIGHT is subtracted from an article's
+// distance, halving every RECENCY_HALF_LIFE_DAYS of age (0 disables)
+const RECENCY_WEIGHT = parseFloat(process.env.RECENCY_WEIGHT) || 0;
+const RECENCY_HALF_LIFE_DAYS = parseFloat(process.env.RECENCY_HALF_LIFE_DAYS) || 7;
+// Entity boost: articles mentioning the people, organizations and places
+// named in the query get up to ENTITY_BOOST, in proportion to how many of
+// them they mention (0 disables)
+const ENTITY_BOOST = parseFloat(process.env.ENTITY_BOOST ?? 0.2) || 0;
+// Hybrid search: BM25 keyword hits are fused with vector hits using
+// reciprocal-rank fusion (score = sum of 1 / (RRF_K + rank))
+const HYBRID_SEARCH = process.env.HYBRID_SEARCH !== 'false';
+const KEYWORD_CANDIDATES = parseInt(process.env.KEYWORD_CANDIDATES) || RETRIEVAL_CANDIDATES;
+const RRF_K = parseInt(process.env.RRF_K) || 60;
+// Relevance cut-off on vector distance when no reranker is configured
+const MAX_VECTOR_DISTANCE = parseFloat(process.env.MAX_VECTOR_DISTANCE) || 0.8;
+// One context slot per story (`story_id`), listing the other outlets that
+// reported it, instead of several copies of the same event
+const DIVERSIFY_STORIES = process.env.DIVERSIFY_STORIES !== 'false';
+// Language answers are written in: `auto` (the user's, detected from their
+// message) or a fixed language code such as `en`
+const ANSWER_LANGUAGE = (process.env.ANSWER_LANGUAGE || 'auto').toLowerCase();
 
 // ---------- Init ----------
-let embedder;
 let chromaClient;
+let collectionVerified = false;
 
 const loadEmbedder = async () => {
-  if (!embedder) {
-    console.log('🔄 Loading embedding model...');
-    embedder = await pipeline("feature-extraction", EMBED_MODEL);
-    console.log('✅ Embedding model loaded');
-  }
-  return embedder;
+  return await embeddingService.load();
 };
 
+// Refuses to hand out a collection that was embedded with a different model
 const getCollection = async () => {
   if (!chromaClient) {
-    chromaClient = new ChromaClient({ path: CHROMA_PATH });
+    chromaClient = createChromaClient();
+  }
+  const collection = await chromaClient.getCollection({ name: COLLECTION_NAME });
+
+  if (!collectionVerified) {
+    await embeddingService.assertCompatible(COLLECTION_NAME, collection.metadata || {});
+    collectionVerified = true;
   }
-  return await chromaClient.getCollection({ name: COLLECTION_NAME });
+  return collection;
 };
 
 // ---------- Core RAG Functions ----------
 
-const searchChroma = async (query) => {
+// Chroma `where` filter for a time window (on the numeric `published_ts`
+// metadata) combined with the chat filters; null when there is neither
+const buildWhere = (timeWindow, filters) => {
+  const clauses = buildFilterClauses(filters);
+  if (timeWindow?.from) {
+    clauses.push({ published_ts: { $gte: Math.floor(Date.parse(timeWindow.from) / 1000) } });
+  }
+  if (timeWindow?.to) {
+    clauses.push({ published_ts: { $lt: Math.floor(Date.parse(timeWindow.to) / 1000) } });
+  }
+  return clauses.length > 1 ? { $and: clauses } : clauses[0] || null;
+};
+
+// Keyword hits for the query; a broken keyword index only degrades search
+const searchKeywords = async (query, where) => {
+  try {
+    return await keywordIndex.search(query, { limit: KEYWORD_CANDIDATES, where });
+  } catch (error) {
+    console.error('❌ Keyword search failed, using vector results only:', error.message);
+    return [];
+  }
+};
+
+const roundScore = (value) => Math.round(value * 10000) / 10000;
+
+// Merge vector and keyword hits into one Chroma-shaped result ordered by RRF
+// score. Keyword-only hits have a null distance. `scores` keeps each chunk's
+// rank in both lists for debugging.
+const fuseResults = (vectorResults, keywordHits) => {
+  const entries = new Map();
+  const entryFor = (id, document, metadata) => {
+    if (!entries.has(id)) {
+      entries.set(id, { id, document, metadata, distance: null, rrf: 0, vector: null, keyword: null });
+    }
+    return entries.get(id);
+  };
+
+  (vectorResults.ids?.[0] || []).forEach((id, i) => {
+    const entry = entryFor(id, vectorResults.documents[0][i], vectorResults.metadatas[0][i]);
+    entry.distance = vectorResults.distances?.[0]?.[i] ?? null;
+    entry.vector = { rank: i + 1, distance: entry.distance === null ? null : roundScore(entry.distance) };
+    entry.rrf += 1 / (RRF_K + i + 1);
+  });
+
+  keywordHits.forEach((hit, i) => {
+    const entry = entryFor(hit.id, hit.document, hit.metadata);
+    entry.keyword = { rank: i + 1, score: roundScore(hit.score) };
+    entry.rrf += 1 / (RRF_K + i + 1);
+  });
+
+  const fused = [...entries.values()].sort((a, b) => b.rrf - a.rrf);
+  return {
+    ids: [fused.map(entry => entry.id)],
+    documents: [fused.map(entry => entry.document)],
+    metadatas: [fused.map(entry => entry.metadata)],
+    distances: [fused.map(entry => entry.distance)],
+    scores: [fused.map(({ rrf, vector, keyword }) => ({ rrf: roundScore(rrf), vector, keyword }))]
+  };
+};
+
+const searchChroma = async (query, { where = null } = {}) => {
   try {
-    // Generate query hash for caching
-    const queryHash = crypto.createHash('md5').update(query).digest('hex');
+    // Generate query hash for caching; filtered and hybrid searches are cached separately
+    let cacheInput = where ? `${query}\n${JSON.stringify(where)}` : query;
+    if (HYBRID_SEARCH) cacheInput += '\nhybrid';
+    const queryHash = crypto.createHash('md5').update(cacheInput).digest('hex');
     
     // Check cache first
     const cached = await redisService.getCachedQuery(queryHash);
@@ -52,19 +146,27 @@ const searchChroma = async (query) => {
 
     console.log(`🔍 Cache MISS - Searching ChromaDB for: "${query.substring(0, 50)}..."`);
     
-    // Generate embedding for query
-    const emb = await (await loadEmbedder())(query, { 
-      pooling: "mean", 
-      normalize: true 
-    });
-    const queryEmbedding = Array.from(emb.data);
-
     // Search ChromaDB
     const collection = await getCollection();
-    const results = await collection.query({
-      query_embeddings: [queryEmbedding],
-      n_results: TOP_K,
-    });
+
+    // Generate embedding for query
+    const queryEmbedding = await embeddingService.embedQuery(query);
+
+    const [vectorResults, keywordHits, queryEntities] = await Promise.all([
+      collection.query({
+        queryEmbeddings: [queryEmbedding],
+        nResults: RETRIEVAL_CANDIDATES,
+        ...(where && { where })
+      }),
+      HYBRID_SEARCH ? searchKeywords(query, where) : [],
+      ENTITY_BOOST > 0 ? entityService.detect(query) : []
+    ]);
+    const results = HYBRID_SEARCH ? fuseResults(vectorResults, keywordHits) : vectorResults;
+    // Known entities named in the query, boosted when ranking articles
+    results.queryEntities = queryEntities;
+    if (queryEntities.length > 0) {
+      console.log(`🏷️ Query mentions ${queryEntities.map(entity => `${entity.name} (${entity.type})`).join(', ')}`);
+    }
 
     // Cache results
     const cacheTTL = process.env.QUERY_CACHE_TTL || 3600; // 1 hour default
@@ -73,45 +175,280 @@ const searchChroma = async (query) => {
     return results;
   } catch (error) {
     console.error('❌ Error searching ChromaDB:', error);
+    if (error.code === 'EMBEDDING_MISMATCH') throw error;
     throw new Error('Failed to search knowledge base');
   }
 };
 
-const buildContext = (searchResults, maxLength = MAX_CONTEXT_LENGTH) => {
+// 0..RECENCY_WEIGHT, halving every RECENCY_HALF_LIFE_DAYS of age
+const recencyBoost = (meta, now) => {
+  if (RECENCY_WEIGHT <= 0) return 0;
+
+  const published = publishedAt(meta);
+  if (published === null) return 0;
+
+  const ageDays = Math.max(0, now - published) / DAY_MS;
+  return RECENCY_WEIGHT * Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+};
+
+// 0..ENTITY_BOOST, by the share of the query's entities the article mentions
+const entityBoost = (meta, queryEntities = []) => {
+  if (ENTITY_BOOST <= 0 || queryEntities.length === 0) return 0;
+
+  const mentioned = new Set(Object.values(entitiesFromMetadata(meta)).flat().map(entityKey));
+  const matches = queryEntities.filter(entity => mentioned.has(entityKey(entity.name))).length;
+  return ENTITY_BOOST * matches / queryEntities.length;
+};
+
+// Lower is better. Fused results rank by RRF score scaled up by the recency
+// and entity boosts; vector-only results by distance minus them. Relevance
+// thresholds still apply to the raw distance.
+const rankingScore = (article, now = Date.now()) => {
+  const boost = recencyBoost(article.metadata, now) + article.entityBoost;
+  return article.rrf !== null
+    ? -article.rrf * (1 + boost)
+    : article.distance - boost;
+};
+
+// Close enough in embedding space, or among the top keyword matches (exact
+// names, tickers and numbers that embeddings tend to miss)
+const isRelevant = (hit) =>
+  (hit.distance !== null && hit.distance <= MAX_VECTOR_DISTANCE)
+  || (hit.keywordRank !== null && hit.keywordRank <= TOP_K);
+
+// Group chunk hits by parent article, best-ranked article first. Documents
+// ingested before chunking (no article_id) form single-chunk groups.
+const groupByArticle = (searchResults) => {
   const docs = searchResults.documents?.[0] || [];
   const metadatas = searchResults.metadatas?.[0] || [];
   const distances = searchResults.distances?.[0] || [];
+  const ids = searchResults.ids?.[0] || [];
+  const scores = searchResults.scores?.[0] || [];
 
-  let context = '';
-  let currentLength = 0;
-
+  const articles = new Map();
   for (let i = 0; i < docs.length; i++) {
-    const doc = docs[i];
-    const meta = metadatas[i];
-    const distance = distances[i];
+    const meta = metadatas[i] || {};
+    const articleId = meta.article_id || meta.url || ids[i] || `doc-${i}`;
+    const chunkScores = scores[i] || null;
+    // Vector-only results always carry distances; fused keyword-only hits do not
+    const distance = chunkScores ? distances[i] ?? null : distances[i] ?? 0;
+    const keywordRank = chunkScores?.keyword?.rank ?? null;
+
+    if (!articles.has(articleId)) {
+      articles.set(articleId, { id: articleId, metadata: meta, distance: null, keywordRank: null, rrf: null, chunks: [] });
+    }
+    const article = articles.get(articleId);
+    if (distance !== null) {
+      article.distance = article.distance === null ? distance : Math.min(article.distance, distance);
+    }
+    if (keywordRank !== null) {
+      article.keywordRank = article.keywordRank === null ? keywordRank : Math.min(article.keywordRank, keywordRank);
+    }
+    if (chunkScores) {
+      article.rrf = Math.max(article.rrf ?? 0, chunkScores.rrf);
+    }
+    // Results are ordered best first, so `position` ranks chunks in both modes
+    article.chunks.push({ index: meta.chunk_index ?? 0, text: docs[i], distance, keywordRank, position: i, scores: chunkScores });
+  }
+
+  const now = Date.now();
+  return [...articles.values()]
+    .map(article => ({ ...article, entityBoost: entityBoost(article.metadata, searchResults.queryEntities) }))
+    .map(article => ({ ...article, score: rankingScore(article, now) }))
+    .sort((a, b) => a.score - b.score);
+};
+
+const bestChunk = (chunks) => chunks.reduce((a, b) => (b.position < a.position ? b : a));
+
+// Title plus best chunk, the text a reranker judges an article by
+const rerankText = (article) => `${article.metadata.title || ''}\n${bestChunk(article.chunks).text}`;
+
+// Relevant articles, best first. With a reranker (RERANK_PROVIDER) its scores
+// for the top RERANK_TOP_N articles decide both the order and the cut-off
+// (RERANK_MIN_SCORE); otherwise the vector distance / keyword gate does.
+const rankArticles = async (query, searchResults) => {
+  const articles = groupByArticle(searchResults);
+  if (!rerankService.isEnabled()) {
+    return articles.filter(isRelevant);
+  }
+
+  const { topN, minScore } = rerankService.getConfig();
+  const candidates = articles.slice(0, topN);
+  try {
+    const scores = await rerankService.score(query, candidates.map(rerankText));
+    const now = Date.now();
+    return candidates
+      .map((article, i) => ({ ...article, rerankScore: scores[i] }))
+      .filter(article => article.rerankScore >= minScore)
+      .map(article => ({ ...article, score: -article.rerankScore * (1 + recencyBoost(article.metadata, now) + article.entityBoost) }))
+      .sort((a, b) => a.score - b.score);
+  } catch (error) {
+    console.error('❌ Reranking failed, using retrieval order:', error.message);
+    return articles.filter(isRelevant);
+  }
+};
+
+// Relevant articles for a query within the time window and filters, best
+// first, each with its retrieved chunks (for views other than chat answers)
+const findArticles = async (query, { timeWindow = null, filters = null } = {}) => {
+  const results = await searchChroma(query, { where: buildWhere(timeWindow, filters) });
+  return await rankArticles(query, results);
+};
+
+// Hostname labels that say nothing about the outlet ("edition.cnn.com" → "cnn")
+const GENERIC_HOST_LABELS = new Set(['www', 'edition', 'feeds', 'rss', 'news', 'co', 'com', 'org', 'net', 'gov', 'ac']);
+
+// Known sources a sub-query names by their outlet ("how BBC covered the
+// summit" → bbc.co.uk), so comparisons between outlets search each one
+const sourcesNamedIn = (query, sources) => {
+  const words = new Set(query.toLowerCase().match(/[a-z0-9]+/g) || []);
+  return sources.filter(source => {
+    const labels = source.toLowerCase().split('.').slice(0, -1).filter(label => !GENERIC_HOST_LABELS.has(label));
+    return labels.length > 0 && words.has(labels[labels.length - 1]);
+  });
+};
+
+// Interleave per-sub-query rankings (best of each in turn) so every part of
+// the question gets its share of the context, keeping the first occurrence of
+// articles found by several sub-queries
+const mergeRankings = (rankings) => {
+  const merged = [];
+  const seen = new Set();
+  const longest = Math.max(0, ...rankings.map(ranking => ranking.length));
+
+  for (let i = 0; i < longest; i++) {
+    rankings.forEach((ranking, subQuery) => {
+      const article = ranking[i];
+      if (!article) return;
+      const key = article.metadata.url || article.id;
+      if (seen.has(key)) return;
+      seen.add(key);
+      merged.push(rankings.length > 1 ? { ...article, subQuery } : article);
+    });
+  }
+  return merged;
+};
+
+// Keep the best-ranked article of each story, with the story's other
+// articles attached as `related`. Sub-queries keep their own copy of a
+// story, so "compare how BBC and CNN covered X" still gets both sides.
+const diversifyByStory = (articles) => {
+  const stories = new Map();
+  for (const article of articles) {
+    const storyId = storyService.storyOf(article.metadata);
+    const key = article.subQuery !== undefined ? `${article.subQuery}:${storyId}` : storyId;
+    if (stories.has(key)) {
+      stories.get(key).related.push(article);
+    } else {
+      stories.set(key, { ...article, storyId, related: [] });
+    }
+  }
+  return [...stories.values()];
+};
 
-    // Skip if relevance score is too low (distance too high)
-    if (distance > 0.8) continue;
+// The story's other articles, one per URL
+const relatedArticles = (article) => {
+  const seen = new Set([article.metadata.url]);
+  return (article.related || [])
+    .filter(({ metadata }) => metadata.url && !seen.has(metadata.url) && seen.add(metadata.url))
+    .map(({ metadata }) => ({ title: metadata.title || 'Unknown', source: metadata.source || 'Unknown', url: metadata.url }));
+};
 
-    const docContext = `
+// Returns the formatted context, the numbered articles in it (`documents`,
+// which citations refer to) and, per article, the retrieval scores of its
+// best chunk (exposed as debug output). With `subQueries`, each article
+// notes the part of the question it was retrieved for. With
+// DIVERSIFY_STORIES, each story takes one slot and lists its other outlets.
+const buildContext = (ranked, { maxLength = MAX_CONTEXT_LENGTH, subQueries = null } = {}) => {
+  let context = '';
+  let currentLength = 0;
+  const documents = [];
+  const retrieval = [];
+  const articles = DIVERSIFY_STORIES ? diversifyByStory(ranked) : ranked;
+
+  for (const article of articles) {
+    if (documents.length >= TOP_K) break;
+
+    const meta = article.metadata;
+    const citation = documents.length + 1;
+    const related = relatedArticles(article);
+    const otherOutlets = [...new Set(related.map(item => item.source))].filter(source => source !== meta.source);
+    const formatDoc = (content) => `
+[${citation}]
 Title: ${meta.title || 'Unknown'}
 Source: ${meta.source || 'Unknown'}
-URL: ${meta.url || 'N/A'}
-Content: ${doc}
+URL: ${meta.url || 'N/A'}${meta.language ? `
+Language: ${meta.language}` : ''}${otherOutlets.length > 0 ? `
+Also reported by: ${otherOutlets.join(', ')}` : ''}${article.subQuery !== undefined && subQueries ? `
+Topic: ${subQueries[article.subQuery]}` : ''}
+Content: ${content.replace(/\s*\n\s*/g, ' ')}
 ---`;
 
+    // All retrieved chunks in article order, or just the best one if that
+    // would not fit, so one long article cannot crowd out the rest
+    // (a reranked article may have no chunk that passes the distance gate)
+    const gated = article.chunks.filter(isRelevant);
+    const relevantChunks = gated.length > 0 ? gated : article.chunks;
+    const inOrder = [...relevantChunks].sort((a, b) => a.index - b.index);
+    const best = bestChunk(relevantChunks);
+
+    let content = mergeChunks(inOrder);
+    let docContext = formatDoc(content);
+    if (currentLength + docContext.length > maxLength) {
+      content = best.text;
+      docContext = formatDoc(content);
+    }
+
     if (currentLength + docContext.length > maxLength) {
       break;
     }
 
     context += docContext;
     currentLength += docContext.length;
+    documents.push({
+      citation,
+      title: meta.title || 'Unknown',
+      source: meta.source || 'Unknown',
+      url: meta.url || null,
+      language: meta.language || null,
+      content,
+      ...(related.length > 0 && { alsoReportedBy: related }),
+      ...(article.rerankScore !== undefined && { rerankScore: roundScore(article.rerankScore) })
+    });
+    retrieval.push({
+      title: meta.title || null,
+      url: meta.url || null,
+      ...(best.scores || { vector: { rank: best.position + 1, distance: best.distance }, keyword: null }),
+      ...(article.rerankScore !== undefined && { rerankScore: roundScore(article.rerankScore) }),
+      ...(article.subQuery !== undefined && { subQuery: article.subQuery }),
+      ...(article.storyId && { storyId: article.storyId, related: article.related.length }),
+      ...(article.entityBoost > 0 && { entityBoost: roundScore(article.entityBoost) })
+    });
   }
 
-  return context.trim();
+  return { context: context.trim(), documents, retrieval };
+};
+
+// Language code the answer is written in: ANSWER_LANGUAGE, or the language
+// of the message, falling back to the user's earlier messages when it is too
+// short to tell ("und warum?"). Null when unknown.
+const answerLanguage = (query, conversationHistory = []) => {
+  if (ANSWER_LANGUAGE !== 'auto') return baseLanguage(ANSWER_LANGUAGE);
+
+  const userMessages = conversationHistory.filter(msg => msg.role === 'user').map(msg => msg.content);
+  for (const text of [query, ...userMessages.reverse()]) {
+    const language = detectLanguage(text);
+    if (language) return language;
+  }
+  return null;
 };
 
-const generateResponse = async (query, context, conversationHistory = []) => {
+// Context articles as sent to clients before the answer is generated
+const listSources = (documents) => documents.map(({ content, ...source }) => source);
+
+// `sources` holds only the articles the answer cites, with the snippet
+// matching the citing sentences
+const generateResponse = async (query, { context, documents }, conversationHistory = [], { onChunk, subQueries = null, language = null } = {}) => {
   try {
     // Build conversation context
     let conversationContext = '';
@@ -122,7 +459,13 @@ const generateResponse = async (query, context, conversationHistory = []) => {
         ).join('\n');
     }
 
-    const prompt = `You are a helpful news assistant. Answer the user's question using ONLY the provided news context. Be accurate, concise, and cite sources when possible.
+    // Articles may be in other languages (see their Language line); the
+    // answer follows the user while citations keep pointing at the originals
+    const languageInstruction = language
+      ? `- Write the answer in ${languageName(language)}, even where the articles are in another language; cite them by number as usual and keep quoted titles in their original language`
+      : "- Write the answer in the language of the user's question, even where the articles are in another language";
+
+    const prompt = `You are a helpful news assistant. Answer the user's question using ONLY the provided news context. Be accurate, concise, and cite the numbered articles you use.
 
 News Context:
 ${context}
@@ -133,20 +476,26 @@ User Question: ${query}
 Instructions:
 - Only use information from the provided context
 - If the context doesn't contain relevant information, say so clearly
-- Cite sources (title/source) when referencing specific articles
+- Cite articles by their number in square brackets right after the sentence they support, e.g. [1] or [2][3]
+- Only cite numbers that appear in the context, and do not add a list of sources at the end
+- "Also reported by" lists other outlets covering the same story; an article's number cites them too
 - Be conversational but informative
-- Keep responses focused and relevant`;
+- Keep responses focused and relevant
+${languageInstruction}${subQueries ? `
+- The question has several parts (${subQueries.map(item => `"${item}"`).join(', ')}); each article's Topic says which part it covers, so address every part and compare them where asked` : ''}`;
 
-    console.log('🤖 Generating response with Gemini...');
-    
-    const result = await model.generateContent(prompt);
-    const response = result.response;
-    const text = response.text();
+    const request = { prompt, query, context };
+
+    // Non-streaming callers get the whole answer in one round trip
+    const result = onChunk
+      ? await llmService.generateStream(request, onChunk)
+      : await llmService.generate(request);
 
+    const { content, sources } = applyCitations(result.text, documents);
     return {
-      content: text,
-      sources: extractSources(context),
-      tokensUsed: response.usageMetadata || null
+      content,
+      sources,
+      tokensUsed: result.tokensUsed
     };
   } catch (error) {
     console.error('❌ Error generating response:', error);
@@ -154,60 +503,120 @@ Instructions:
   }
 };
 
-const extractSources = (context) => {
-  const sources = [];
-  const lines = context.split('\n');
-  
-  let currentSource = {};
-  for (const line of lines) {
-    if (line.startsWith('Title: ')) {
-      currentSource.title = line.replace('Title: ', '');
-    } else if (line.startsWith('Source: ')) {
-      currentSource.source = line.replace('Source: ', '');
-    } else if (line.startsWith('URL: ')) {
-      currentSource.url = line.replace('URL: ', '');
-      if (currentSource.title && currentSource.source) {
-        sources.push({ ...currentSource });
-      }
-      currentSource = {};
+// A failed check leaves the answer unverified rather than failing the request
+const verifyGrounding = async (answer, contextData) => {
+  try {
+    const grounding = await groundingService.verify(answer, contextData);
+    if (grounding && !grounding.grounded) {
+      const unsupported = grounding.sentences.filter(sentence => sentence.supported === false).length;
+      console.warn(`⚠️ ${unsupported} answer sentence(s) not supported by the context (${grounding.method})`);
     }
+    return grounding;
+  } catch (error) {
+    console.error('❌ Grounding check failed:', error.message);
+    return null;
   }
-  
-  return sources;
 };
 
 // ---------- Main Chat Function ----------
-const processQuery = async (query, conversationHistory = []) => {
+// Pass `onChunk` to stream the answer as it is generated, and `onSources`
+// to learn which numbered articles went into the context before generation
+// starts; the final `sources` are the ones the answer cites.
+// Time expressions in the query ("yesterday", "since March") restrict the
+// search to that publish-date window, returned as `timeWindow`, and
+// `filters` (validated by utils/chatFilters) narrow it further. Follow-ups
+// are searched as a standalone query rewritten from the conversation,
+// returned as `rewrittenQuery` (null when the message was used as is).
+// Comparative and multi-part questions are decomposed into sub-queries that
+// are searched concurrently and share the context, returned as `subQueries`.
+// The answer is then checked against the context, returned as `grounding`
+// (see grounding.service; null when unchecked). It is written in the user's
+// language (see answerLanguage), returned as `language`.
+const processQuery = async (query, conversationHistory = [], { onChunk, onSources, filters = null } = {}) => {
   try {
     console.log(`📝 Processing query: "${query}"`);
+
+    const language = answerLanguage(query, conversationHistory);
+
+    const { query: searchQuery, method } = await rewriteService.rewrite(query, conversationHistory);
+    const rewrittenQuery = method ? searchQuery : null;
+    if (rewrittenQuery) {
+      console.log(`✏️ Rewrote follow-up (${method}): "${rewrittenQuery}"`);
+    }
+
+    const timeWindow = parseTimeExpression(searchQuery);
+    if (timeWindow) {
+      console.log(`📅 Restricting search to ${timeWindow.label} (${timeWindow.from || '…'} - ${timeWindow.to || 'now'})`);
+    }
     
-    // Step 1: Search relevant documents
-    const searchResults = await searchChroma(query);
-    
-    if (!searchResults.documents?.[0]?.length) {
+    const plan = await plannerService.plan(searchQuery);
+    const subQueries = plan.method ? plan.queries : null;
+    if (subQueries) {
+      console.log(`🧩 Decomposed question (${plan.method}): ${subQueries.map(item => `"${item}"`).join(', ')}`);
+    }
+
+    // Step 1: Search relevant documents, once per sub-query. A sub-query
+    // with its own time expression or naming a known outlet is narrowed to it.
+    const knownSources = subQueries ? await keywordIndex.listSources().catch(() => []) : [];
+    const searches = await Promise.all(plan.queries.map(async (subQuery) => {
+      let where = buildWhere(parseTimeExpression(subQuery) || timeWindow, filters);
+      const named = sourcesNamedIn(subQuery, knownSources);
+      if (named.length > 0) {
+        const clause = { source: { $in: named } };
+        where = where ? { $and: [...(where.$and || [where]), clause] } : clause;
+      }
+      return { subQuery, results: await searchChroma(subQuery, { where }) };
+    }));
+
+    if (!searches.some(({ results }) => results.documents?.[0]?.length)) {
+      let content = "I couldn't find any relevant information in the news database to answer your question. Please try rephrasing your query or ask about different topics.";
+      if (timeWindow) {
+        content = `I couldn't find any relevant news in the requested time range (${timeWindow.label}). Try a wider range or ask without one.`;
+      } else if (filters) {
+        content = "I couldn't find any relevant news matching your source, category, language or date filters. Try widening or clearing them.";
+      }
+
       return {
-        content: "I couldn't find any relevant information in the news database to answer your question. Please try rephrasing your query or ask about different topics.",
+        content,
         sources: [],
-        tokensUsed: null
+        tokensUsed: null,
+        timeWindow,
+        rewrittenQuery,
+        subQueries,
+        language
       };
     }
 
     // Step 2: Build context from search results
-    const context = buildContext(searchResults);
-    
+    const rankings = await Promise.all(searches.map(({ subQuery, results }) => rankArticles(subQuery, results)));
+    const { context, documents, retrieval } = buildContext(mergeRankings(rankings), { subQueries });
+
     if (!context) {
       return {
         content: "I found some potentially relevant articles, but they don't seem closely related to your question. Could you try asking about something more specific?",
         sources: [],
-        tokensUsed: null
+        tokensUsed: null,
+        timeWindow,
+        rewrittenQuery,
+        subQueries,
+        language
       };
     }
 
-    // Step 3: Generate response using Gemini
-    const response = await generateResponse(query, context, conversationHistory);
+    // Numbered, so streaming clients can resolve citations as they arrive
+    if (onSources) {
+      onSources(listSources(documents));
+    }
+
+    // Step 3: Generate response using the configured LLM
+    const response = await generateResponse(query, { context, documents }, conversationHistory, { onChunk, subQueries, language });
     
     console.log('✅ Response generated successfully');
-    return response;
+
+    // Step 4: Verify the answer against the context
+    const grounding = await verifyGrounding(response.content, { context, documents });
+
+    return { ...response, timeWindow, rewrittenQuery, subQueries, language, grounding, retrieval };
 
   } catch (error) {
     console.error('❌ Error processing query:', error);
@@ -220,11 +629,19 @@ const healthCheck = async () => {
   try {
     await loadEmbedder();
     await getCollection();
-    return { status: 'healthy', timestamp: new Date().toISOString() };
+    const llm = llmService.healthCheck();
+    return {
+      status: llm.status,
+      llm,
+      embedding: await embeddingService.describe(),
+      rerank: rerankService.describe(),
+      timestamp: new Date().toISOString()
+    };
   } catch (error) {
     return { 
       status: 'unhealthy', 
       error: error.message, 
+      code: error.code,
       timestamp: new Date().toISOString() 
     };
   }
@@ -233,6 +650,7 @@ const healthCheck = async () => {
 module.exports = {
   processQuery,
   searchChroma,
+  findArticles,
   healthCheck,
   loadEmbedder,
   getCollection
@@ -0,0 +1,101 @@
+const { getEmbeddingConfig } = require('../config/embedding.config');
+const TransformersEmbeddingProvider = require('../providers/embedding/transformers.provider');
+const HashEmbeddingProvider = require('../providers/embedding/hash.provider');
+
+const PROVIDERS = {
+  transformers: (config) => new TransformersEmbeddingProvider(config.transformers),
+  hash: (config) => new HashEmbeddingProvider(config.hash)
+};
+
+// Model ids are compared without their organisation prefix, so an ONNX port
+// such as Xenova/jina-embeddings-v2-base-en matches jinaai/jina-embeddings-v2-base-en
+const normalizeModelName = (model) => String(model || '').split('/').pop().toLowerCase();
+
+// Facade over the configured embedding provider (EMBEDDING_PROVIDER env var).
+// Every provider implements `load()` and `embed(texts)` resolving to one
+// vector per text, and exposes `name`, `model` and `dimension`.
+class EmbeddingService {
+  constructor() {
+    this.provider = null;
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      const config = getEmbeddingConfig();
+      const create = PROVIDERS[config.provider];
+      if (!create) {
+        throw new Error(`Unknown EMBEDDING_PROVIDER "${config.provider}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+      }
+      this.provider = create(config);
+      console.log(`🧬 Using embedding provider: ${this.provider.name} (${this.provider.model})`);
+    }
+    return this.provider;
+  }
+
+  async load() {
+    return await this.getProvider().load();
+  }
+
+  async embed(texts) {
+    return await this.getProvider().embed(texts);
+  }
+
+  async embedQuery(text) {
+    const [vector] = await this.embed([text]);
+    return vector;
+  }
+
+  // Model name and dimension, probing the model once if the dimension is unknown
+  async describe() {
+    const provider = this.getProvider();
+    if (!provider.dimension) {
+      await this.embedQuery('dimension probe');
+    }
+    return {
+      provider: provider.name,
+      model: provider.model,
+      dimension: provider.dimension,
+      pooling: provider.pooling
+    };
+  }
+
+  // Metadata recorded on the Chroma collection at ingest time
+  async collectionMetadata() {
+    const info = await this.describe();
+    return {
+      embedding_provider: info.provider,
+      embedding_model: info.model,
+      embedding_dimension: info.dimension,
+      embedding_pooling: info.pooling
+    };
+  }
+
+  // Throws if a collection was embedded with a different model than the one
+  // configured here. Collections created before this metadata existed only
+  // produce a warning.
+  async assertCompatible(collectionName, collectionMetadata = {}) {
+    const storedModel = collectionMetadata.embedding_model;
+    if (!storedModel) {
+      console.warn(`⚠️ Collection "${collectionName}" has no embedding metadata; re-run ingestion to record it`);
+      return;
+    }
+
+    const info = await this.describe();
+    const storedDimension = Number(collectionMetadata.embedding_dimension);
+    const sameModel = normalizeModelName(storedModel) === normalizeModelName(info.model);
+    const sameDimension = !storedDimension || storedDimension === info.dimension;
+
+    if (!sameModel || !sameDimension) {
+      const error = new Error(
+        `Embedding model mismatch: collection "${collectionName}" was embedded with ` +
+        `${storedModel} (${storedDimension || '?'} dims) but the backend is configured with ` +
+        `${info.model} (${info.dimension} dims). Re-run ingestion or set EMBED_MODEL to match.`
+      );
+      error.code = 'EMBEDDING_MISMATCH';
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new EmbeddingService();
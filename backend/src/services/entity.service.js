@@ -0,0 +1,362 @@
+const fs = require('fs/promises');
+const path = require('path');
+const llmService = require('./llm.service');
+const { createChromaClient, COLLECTION_NAME } = require('../config/chroma.config');
+const {
+  ENTITY_TYPES,
+  extractEntities,
+  entityKey,
+  canonicalName,
+  entitiesFromMetadata
+} = require('../utils/entityExtractor');
+const { dayOf } = require('../utils/dates');
+
+// ---------- CONFIG ----------
+// heuristic: rule-based extraction (utils/entityExtractor); llm: the
+// configured LLM lists the entities, falling back to the rules; off: none
+const ENTITY_EXTRACTION = (process.env.ENTITY_EXTRACTION || 'heuristic').toLowerCase();
+const ENTITY_INDEX_FILE = process.env.ENTITY_INDEX_FILE || path.join(__dirname, '../../data/entity-index.json');
+const LLM_TEXT_LENGTH = 4000;
+const MAX_PER_TYPE = 10;
+const MAX_QUERY_WORDS = 4;
+const SCAN_PAGE_SIZE = 500;
+
+const LLM_FIELDS = { person: 'People', organization: 'Organizations', place: 'Places' };
+
+// Publish time in ms, or null when undated
+const publishedAt = (article) => {
+  if (typeof article.publishedTs === 'number') return article.publishedTs * 1000;
+  const time = Date.parse(article.date);
+  return isNaN(time) ? null : time;
+};
+
+// People, organizations and places mentioned in articles. Entities are
+// extracted at ingestion, stored in chunk metadata (`people`,
+// `organizations`, `places`) and indexed by name in ENTITY_INDEX_FILE, which
+// is kept, reloaded and rebuilt like the keyword index.
+class EntityService {
+  constructor() {
+    this.reset();
+    this.loadedMtime = null;
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  reset() {
+    // article id -> { id, title, url, source, date, publishedTs, entities }
+    this.articles = new Map();
+    // entity key -> { name, type, articles: Set(article id) }
+    this.entities = new Map();
+    // last word of a person's name -> entity keys ("Biden" -> "joe biden")
+    this.surnames = new Map();
+  }
+
+  getConfig() {
+    return { extraction: ENTITY_EXTRACTION };
+  }
+
+  // ---------- Extraction ----------
+  async llmExtract(article) {
+    const text = article.text.slice(0, LLM_TEXT_LENGTH);
+    const prompt = `List the named entities in this news article.
+
+Title: ${article.title || 'Unknown'}
+Text: ${text}
+
+Reply in exactly this format, with names separated by semicolons and "none" for an empty list:
+People: <full names of people>
+Organizations: <companies, institutions, parties, agencies>
+Places: <countries, cities, regions>`;
+
+    const result = await llmService.generate({ prompt, query: article.title || '' });
+    const reply = result.text || '';
+    const haystack = entityKey(`${article.title}\n${article.text}`);
+
+    const entities = {};
+    for (const type of ENTITY_TYPES) {
+      const line = reply.match(new RegExp(`^\\s*${LLM_FIELDS[type]}\\s*:\\s*(.*)$`, 'im'));
+      if (!line) throw new Error(`LLM reply has no ${LLM_FIELDS[type]} line`);
+
+      // Only names that occur in the article, so nothing is invented
+      entities[type] = [...new Set(line[1].split(/\s*;\s*/)
+        .map(name => name.trim().replace(/^["'“]|["'”.]$/g, ''))
+        .filter(name => name && !/^none$/i.test(name) && haystack.includes(entityKey(name)))
+        .map(canonicalName))]
+        .slice(0, MAX_PER_TYPE);
+    }
+    return entities;
+  }
+
+  // `article`: { title, text }. Returns { person, organization, place } name
+  // lists, or null when extraction is off.
+  async extract(article) {
+    if (ENTITY_EXTRACTION === 'off') return null;
+
+    if (ENTITY_EXTRACTION === 'llm') {
+      try {
+        return await this.llmExtract(article);
+      } catch (error) {
+        console.warn(`⚠️ LLM entity extraction failed for "${article.title}", using rules: ${error.message}`);
+      }
+    }
+    return extractEntities(article);
+  }
+
+  // ---------- Index ----------
+  addArticle(record) {
+    this.removeArticle(record.id);
+    if (!ENTITY_TYPES.some(type => record.entities[type]?.length > 0)) return;
+    this.articles.set(record.id, record);
+
+    for (const type of ENTITY_TYPES) {
+      for (const name of record.entities[type] || []) {
+        const key = entityKey(name);
+        if (!this.entities.has(key)) {
+          this.entities.set(key, { name, type, articles: new Set() });
+        }
+        this.entities.get(key).articles.add(record.id);
+
+        const words = key.split(' ');
+        if (type === 'person' && words.length > 1) {
+          const surname = words[words.length - 1];
+          if (!this.surnames.has(surname)) this.surnames.set(surname, new Set());
+          this.surnames.get(surname).add(key);
+        }
+      }
+    }
+  }
+
+  removeArticle(id) {
+    const record = this.articles.get(id);
+    if (!record) return;
+
+    for (const type of ENTITY_TYPES) {
+      for (const name of record.entities[type] || []) {
+        const key = entityKey(name);
+        const entity = this.entities.get(key);
+        if (!entity) continue;
+        entity.articles.delete(id);
+        if (entity.articles.size === 0) {
+          this.entities.delete(key);
+          const words = key.split(' ');
+          this.surnames.get(words[words.length - 1])?.delete(key);
+        }
+      }
+    }
+    this.articles.delete(id);
+  }
+
+  // Index record of an article from its first chunk's metadata
+  recordFromMetadata(id, meta) {
+    return {
+      id,
+      title: meta.title || 'Unknown',
+      url: meta.url || null,
+      source: meta.source || null,
+      date: meta.date || null,
+      publishedTs: typeof meta.published_ts === 'number' ? meta.published_ts : null,
+      entities: entitiesFromMetadata(meta)
+    };
+  }
+
+  // ---------- Persistence ----------
+  async readMtime() {
+    try {
+      return (await fs.stat(ENTITY_INDEX_FILE)).mtimeMs;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async load() {
+    const records = JSON.parse(await fs.readFile(ENTITY_INDEX_FILE, 'utf8'));
+    this.reset();
+    records.forEach(record => this.addArticle(record));
+  }
+
+  // Serialize writes and replace the file atomically
+  async save() {
+    const snapshot = JSON.stringify([...this.articles.values()]);
+    this.writeQueue = this.writeQueue.then(async () => {
+      await fs.mkdir(path.dirname(ENTITY_INDEX_FILE), { recursive: true });
+      const tmpFile = `${ENTITY_INDEX_FILE}.tmp`;
+      await fs.writeFile(tmpFile, snapshot);
+      await fs.rename(tmpFile, ENTITY_INDEX_FILE);
+      this.loadedMtime = await this.readMtime();
+    });
+    await this.writeQueue;
+  }
+
+  // Index the entities stored in the Chroma collection's metadata
+  async rebuild() {
+    const client = createChromaClient();
+    let collection;
+    try {
+      collection = await client.getCollection({ name: COLLECTION_NAME });
+    } catch (error) {
+      console.warn(`⚠️ Entity index: collection '${COLLECTION_NAME}' unavailable (${error.message}), starting empty`);
+      this.reset();
+      return;
+    }
+
+    this.reset();
+    for (let offset = 0; ; offset += SCAN_PAGE_SIZE) {
+      const page = await collection.get({ limit: SCAN_PAGE_SIZE, offset, include: ['metadatas'] });
+      const ids = page.ids || [];
+      ids.forEach((id, i) => {
+        const meta = page.metadatas?.[i] || {};
+        const articleId = meta.article_id || meta.url || id;
+        if (!this.articles.has(articleId) || (meta.chunk_index ?? 0) === 0) {
+          this.addArticle(this.recordFromMetadata(articleId, meta));
+        }
+      });
+      if (ids.length < SCAN_PAGE_SIZE) break;
+    }
+
+    await this.save();
+    console.log(`🏷️ Built entity index with ${this.entities.size} entities from ${this.articles.size} articles at ${ENTITY_INDEX_FILE}`);
+  }
+
+  // Load the index file if it changed since the last read, or build it
+  async ensureLoaded() {
+    if (this.loading) return await this.loading;
+
+    this.loading = (async () => {
+      const mtime = await this.readMtime();
+      if (mtime === null) {
+        await this.rebuild();
+      } else if (mtime !== this.loadedMtime) {
+        await this.load();
+        this.loadedMtime = mtime;
+      }
+    })();
+
+    try {
+      await this.loading;
+    } finally {
+      this.loading = null;
+    }
+  }
+
+  // ---------- Updates ----------
+  // `records`: [{ id, metadata }] with the first chunk's metadata of each
+  // (re)ingested article
+  async upsertArticles(records) {
+    await this.ensureLoaded();
+    records.forEach(({ id, metadata }) => this.addArticle(this.recordFromMetadata(id, metadata)));
+    await this.save();
+  }
+
+  async removeArticles(articleIds) {
+    await this.ensureLoaded();
+    articleIds.forEach(id => this.removeArticle(id));
+    await this.save();
+  }
+
+  // ---------- Queries ----------
+  describe(entity) {
+    const times = [...entity.articles].map(id => publishedAt(this.articles.get(id))).filter(time => time !== null);
+    return {
+      name: entity.name,
+      type: entity.type,
+      articleCount: entity.articles.size,
+      firstSeen: times.length > 0 ? new Date(Math.min(...times)).toISOString() : null,
+      lastSeen: times.length > 0 ? new Date(Math.max(...times)).toISOString() : null
+    };
+  }
+
+  // Entities whose name contains `q` (names starting with it first), or the
+  // most covered ones without `q`
+  async search(q = '', { type = null, limit = 20 } = {}) {
+    await this.ensureLoaded();
+
+    const needle = entityKey(q);
+    return [...this.entities]
+      .filter(([key, entity]) => (!type || entity.type === type) && key.includes(needle))
+      .map(([key, entity]) => ({ key, entity, prefix: needle && key.split(' ').some(word => word.startsWith(needle)) }))
+      .sort((a, b) => (b.prefix - a.prefix) || b.entity.articles.size - a.entity.articles.size || a.key.localeCompare(b.key))
+      .slice(0, limit)
+      .map(({ key, entity }) => this.describe(entity));
+  }
+
+  // Coverage of one entity: its articles newest first and the number of
+  // articles per day, optionally within `dateRange`. Null for unknown names.
+  async getArticles(name, { dateRange = null, limit = 50 } = {}) {
+    await this.ensureLoaded();
+
+    const key = entityKey(canonicalName(name));
+    const entity = this.entities.get(key);
+    if (!entity) return null;
+
+    const from = dateRange?.from ? Date.parse(dateRange.from) : -Infinity;
+    const to = dateRange?.to ? Date.parse(dateRange.to) : Infinity;
+    const articles = [...entity.articles]
+      .map(id => this.articles.get(id))
+      .filter(article => {
+        const time = publishedAt(article);
+        return dateRange ? time !== null && time >= from && time < to : true;
+      })
+      .sort((a, b) => (publishedAt(b) ?? -Infinity) - (publishedAt(a) ?? -Infinity));
+
+    const perDay = new Map();
+    for (const article of articles) {
+      const time = publishedAt(article);
+      if (time === null) continue;
+      const day = dayOf(time);
+      perDay.set(day, (perDay.get(day) || 0) + 1);
+    }
+
+    return {
+      entity: this.describe(entity),
+      total: articles.length,
+      timeline: [...perDay].sort((a, b) => a[0].localeCompare(b[0])).map(([date, count]) => ({ date, count })),
+      articles: articles.slice(0, limit).map(article => ({
+        title: article.title,
+        url: article.url,
+        source: article.source,
+        date: article.date,
+        mentions: ENTITY_TYPES.flatMap(type => article.entities[type] || []).filter(other => entityKey(other) !== key)
+      }))
+    };
+  }
+
+  // Known entities named in a query, longest names first. Single words must
+  // be capitalised or at least four letters ("us" is not the United States),
+  // and a surname alone stands for the one person indexed with it.
+  async detect(query) {
+    if (ENTITY_EXTRACTION === 'off' || !query) return [];
+    try {
+      await this.ensureLoaded();
+    } catch (error) {
+      console.warn(`⚠️ Entity index unavailable: ${error.message}`);
+      return [];
+    }
+
+    const tokens = query.match(/(?:\p{Lu}\.){2,}|[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || [];
+    const used = new Array(tokens.length).fill(false);
+    const found = new Map();
+
+    for (let size = Math.min(MAX_QUERY_WORDS, tokens.length); size > 0; size--) {
+      for (let i = 0; i + size <= tokens.length; i++) {
+        if (used.slice(i, i + size).some(Boolean)) continue;
+
+        const phrase = tokens.slice(i, i + size).join(' ').replace(/['’]s$/i, '');
+        if (size === 1 && !/^\p{Lu}/u.test(phrase) && phrase.length < 4) continue;
+
+        let key = entityKey(canonicalName(phrase));
+        if (!this.entities.has(key) && size === 1 && this.surnames.get(key)?.size === 1) {
+          key = [...this.surnames.get(key)][0];
+        }
+        const entity = this.entities.get(key);
+        if (!entity) continue;
+
+        found.set(key, { name: entity.name, type: entity.type });
+        used.fill(true, i, i + size);
+      }
+    }
+    return [...found.values()];
+  }
+}
+
+module.exports = new EntityService();
@@ -0,0 +1,139 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { getConfiguredFeeds } = require('../config/feeds.config');
+
+const FEEDS_FILE = process.env.FEEDS_FILE || path.join(__dirname, '../../data/feeds.json');
+const DEFAULT_MAX_ITEMS = 50;
+
+// Fields a client may set, with their defaults for new feeds
+const FEED_DEFAULTS = {
+  name: '',
+  category: null,
+  language: null,
+  maxItems: DEFAULT_MAX_ITEMS,
+  enabled: true,
+  pollIntervalMinutes: null // null: use FEED_POLL_INTERVAL_MINUTES
+};
+
+const nameFromUrl = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return url;
+  }
+};
+
+// Feed records persisted to a local JSON file (FEEDS_FILE). The file is
+// seeded from FEEDS / the default list the first time it is read.
+class FeedService {
+  constructor() {
+    this.feeds = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  buildFeed(url, fields = {}) {
+    const now = new Date().toISOString();
+    return {
+      id: uuidv4(),
+      url,
+      ...FEED_DEFAULTS,
+      name: nameFromUrl(url),
+      ...fields,
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  async load() {
+    if (this.feeds) return this.feeds;
+
+    try {
+      this.feeds = JSON.parse(await fs.readFile(FEEDS_FILE, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+
+      this.feeds = getConfiguredFeeds().map(url => this.buildFeed(url));
+      await this.save();
+      console.log(`📝 Seeded feed registry with ${this.feeds.length} feeds at ${FEEDS_FILE}`);
+    }
+    return this.feeds;
+  }
+
+  // Serialize writes and replace the file atomically
+  async save() {
+    const snapshot = JSON.stringify(this.feeds, null, 2);
+    this.writeQueue = this.writeQueue.then(async () => {
+      await fs.mkdir(path.dirname(FEEDS_FILE), { recursive: true });
+      const tmpFile = `${FEEDS_FILE}.tmp`;
+      await fs.writeFile(tmpFile, snapshot);
+      await fs.rename(tmpFile, FEEDS_FILE);
+    });
+    await this.writeQueue;
+  }
+
+  async listFeeds() {
+    return [...await this.load()];
+  }
+
+  async listEnabled() {
+    return (await this.load()).filter(feed => feed.enabled);
+  }
+
+  async getFeed(id) {
+    return (await this.load()).find(feed => feed.id === id) || null;
+  }
+
+  async findByUrl(url) {
+    return (await this.load()).find(feed => feed.url === url) || null;
+  }
+
+  async createFeed({ url, ...fields }) {
+    const feeds = await this.load();
+    if (feeds.some(feed => feed.url === url)) {
+      const error = new Error(`Feed already registered: ${url}`);
+      error.code = 'FEED_EXISTS';
+      throw error;
+    }
+
+    const feed = this.buildFeed(url, fields);
+    feeds.push(feed);
+    await this.save();
+    return feed;
+  }
+
+  async updateFeed(id, changes) {
+    const feeds = await this.load();
+    const feed = feeds.find(item => item.id === id);
+    if (!feed) return null;
+
+    if (changes.url && changes.url !== feed.url && feeds.some(item => item.url === changes.url)) {
+      const error = new Error(`Feed already registered: ${changes.url}`);
+      error.code = 'FEED_EXISTS';
+      throw error;
+    }
+
+    Object.assign(feed, changes, { updatedAt: new Date().toISOString() });
+    await this.save();
+    return feed;
+  }
+
+  async deleteFeed(id) {
+    const feeds = await this.load();
+    const index = feeds.findIndex(feed => feed.id === id);
+    if (index === -1) return false;
+
+    feeds.splice(index, 1);
+    await this.save();
+    return true;
+  }
+
+  // Registry record for a feed URL, or an ad-hoc record with defaults for
+  // feeds that are not registered (e.g. one-off admin ingestion)
+  async resolve(feed) {
+    if (typeof feed !== 'string') return feed;
+    return await this.findByUrl(feed) || { id: null, url: feed, ...FEED_DEFAULTS, name: nameFromUrl(feed) };
+  }
+}
+
+module.exports = new FeedService();
@@ -0,0 +1,150 @@
+const llmService = require('./llm.service');
+const embeddingService = require('./embedding.service');
+const { splitSentences, stripCitations } = require('../utils/citations');
+const { cosine } = require('../utils/vectors');
+
+// ---------- CONFIG ----------
+// embedding (default): best cosine similarity between a sentence and the
+// sentences of the context articles, capped below; llm: the configured LLM
+// judges each sentence, falling back to embeddings; off: no verification
+const GROUNDING_CHECK = (process.env.GROUNDING_CHECK || 'embedding').toLowerCase();
+// Sentences scoring below this (0-1) are flagged as unsupported
+const GROUNDING_THRESHOLD = parseFloat(process.env.GROUNDING_THRESHOLD) || 0.6;
+const MIN_CLAIM_WORDS = 4;
+// Sentences checked per answer; later ones are left unscored
+const MAX_CLAIMS = 20;
+// Article sentences embedded per answer, shared between the cited articles
+const MAX_EVIDENCE_SENTENCES = 200;
+const MIN_DOCUMENT_SENTENCES = 10;
+// Texts per embedding call, as for ingestion
+const EMBED_BATCH_SIZE = 8;
+
+// Sentences that state nothing to verify: questions, hedges and the
+// "not in the context" answers the prompt asks for
+const NON_CLAIM_PATTERNS = [
+  /\?$/,
+  /^(however|overall|in summary|to summari[sz]e)[,:]?$/i,
+  /\b(context|articles?|sources?|news database)\b.*\b(doesn't|does not|don't|do not|no)\b.*\b(contain|mention|say|provide|information)/i,
+  /\b(I (couldn't|could not|can't|cannot) find|I don't have|I do not have)\b/i
+];
+
+const isClaim = (sentence) => {
+  const text = stripCitations(sentence);
+  return text.split(/\s+/).length >= MIN_CLAIM_WORDS && !NON_CLAIM_PATTERNS.some(pattern => pattern.test(text));
+};
+
+const roundScore = (value) => Math.round(Math.max(0, Math.min(1, value)) * 1000) / 1000;
+
+// Articles a sentence cites, or all of them when it cites none
+const evidenceFor = (sentence, documents) => {
+  const cited = [...sentence.matchAll(/\[(\d+)\]/g)].map(match => parseInt(match[1]));
+  const matching = documents.filter(doc => cited.includes(doc.citation));
+  return matching.length > 0 ? matching : documents;
+};
+
+// Checks a generated answer against the articles it was generated from and
+// scores each sentence by how well the context supports it.
+class GroundingService {
+  isEnabled() {
+    return GROUNDING_CHECK !== 'off';
+  }
+
+  async embedBatched(texts) {
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+      vectors.push(...await embeddingService.embed(texts.slice(i, i + EMBED_BATCH_SIZE)));
+    }
+    return vectors;
+  }
+
+  async embeddingScores(claims, documents) {
+    // Only articles some claim is checked against, each cut to its share of
+    // MAX_EVIDENCE_SENTENCES
+    const evidence = claims.map(claim => evidenceFor(claim, documents));
+    const used = documents.filter(doc => evidence.some(docs => docs.includes(doc)));
+    const perDocument = Math.max(MIN_DOCUMENT_SENTENCES, Math.floor(MAX_EVIDENCE_SENTENCES / used.length));
+    const passages = used.map(doc => splitSentences(doc.content).slice(0, perDocument));
+
+    const vectors = await this.embedBatched([...claims.map(stripCitations), ...passages.flat()]);
+    const claimVectors = vectors.slice(0, claims.length);
+
+    // Passage vectors per article, in `used` order
+    let offset = claims.length;
+    const passageVectors = new Map(used.map((doc, i) => {
+      const slice = vectors.slice(offset, offset + passages[i].length);
+      offset += passages[i].length;
+      return [doc.citation, slice];
+    }));
+
+    return claims.map((claim, i) => Math.max(0, ...evidence[i]
+      .flatMap(doc => passageVectors.get(doc.citation))
+      .map(vector => cosine(claimVectors[i], vector))));
+  }
+
+  async llmScores(claims, context) {
+    const prompt = `Check each numbered statement against the news context. Rate how well the context supports it, from 0 (not supported or contradicted) to 1 (directly stated).
+
+News Context:
+${context}
+
+Statements:
+${claims.map((claim, i) => `${i + 1}. ${stripCitations(claim)}`).join('\n')}
+
+Reply with one line per statement in the form "<number>: <score>", and nothing else.`;
+
+    const result = await llmService.generate({ prompt, query: claims.join(' ') });
+    const scores = new Map();
+    for (const [, number, score] of (result.text || '').matchAll(/^\s*(\d+)\s*[:.)-]\s*([01](?:\.\d+)?)\b/gm)) {
+      scores.set(parseInt(number), parseFloat(score));
+    }
+
+    if (!claims.every((claim, i) => scores.has(i + 1))) {
+      throw new Error('LLM judge did not score every statement');
+    }
+    return claims.map((claim, i) => scores.get(i + 1));
+  }
+
+  // Returns { method, grounded, score, threshold, sentences } where each
+  // sentence has a 0-1 `score` and `supported` flag (both null for sentences
+  // that state nothing to check or come after the first MAX_CLAIMS), or null
+  // when verification is off or there is nothing to verify. `grounded` is
+  // false if any sentence is unsupported.
+  async verify(answer, { context, documents }) {
+    if (!this.isEnabled() || !answer || documents.length === 0) return null;
+
+    const sentences = splitSentences(answer);
+    const claims = sentences.filter(isClaim).slice(0, MAX_CLAIMS);
+    if (claims.length === 0) return null;
+
+    let scores = null;
+    let method = 'embedding';
+    if (GROUNDING_CHECK === 'llm') {
+      try {
+        scores = await this.llmScores(claims, context);
+        method = 'llm';
+      } catch (error) {
+        console.warn(`⚠️ Grounding judge failed, using embeddings: ${error.message}`);
+      }
+    }
+    if (!scores) {
+      scores = await this.embeddingScores(claims, documents);
+    }
+
+    const claimScores = new Map(claims.map((claim, i) => [claim, roundScore(scores[i])]));
+    const results = sentences.map(text => {
+      const score = claimScores.has(text) ? claimScores.get(text) : null;
+      return { text, score, supported: score === null ? null : score >= GROUNDING_THRESHOLD };
+    });
+
+    const checked = results.filter(result => result.score !== null);
+    return {
+      method,
+      grounded: checked.every(result => result.supported),
+      score: roundScore(Math.min(...checked.map(result => result.score))),
+      threshold: GROUNDING_THRESHOLD,
+      sentences: results
+    };
+  }
+}
+
+module.exports = new GroundingService();
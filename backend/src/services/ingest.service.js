@@ -0,0 +1,505 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { fileURLToPath } = require('url');
+const axios = require('axios');
+const embeddingService = require('./embedding.service');
+const redisService = require('./redis.service');
+const keywordIndex = require('./keyword.service');
+const feedService = require('./feed.service');
+const storyService = require('./story.service');
+const entityService = require('./entity.service');
+const { createChromaClient, COLLECTION_NAME } = require('../config/chroma.config');
+const { parseFeed } = require('../utils/feedParser');
+const { extractArticle, htmlToText, hostnameOf } = require('../utils/articleExtractor');
+const { chunkText } = require('../utils/chunker');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { entitiesToMetadata } = require('../utils/entityExtractor');
+const { detectLanguage, baseLanguage } = require('../utils/languageDetector');
+
+// ---------- CONFIG ----------
+const TARGET_NUM = 50;
+const BATCH_SIZE = 8;
+const MIN_TEXT_LENGTH = 200;
+const FETCH_CONCURRENCY = 4;
+const FETCH_TIMEOUT = 15000;
+const CHUNK_SIZE = parseInt(process.env.CHUNK_SIZE) || 1000;
+const CHUNK_OVERLAP = parseInt(process.env.CHUNK_OVERLAP) || 200;
+const USER_AGENT = 'Mozilla/5.0 (compatible; NewsChatbot/1.0)';
+
+const isRemote = (location) => /^https?:\/\//i.test(location);
+
+const toFilePath = (location) => (location.startsWith('file://') ? fileURLToPath(location) : location);
+
+// Read a feed or article page from http(s), a file:// URL or a local path
+const readResource = async (location) => {
+  if (isRemote(location)) {
+    const { data } = await axios.get(location, {
+      timeout: FETCH_TIMEOUT,
+      responseType: 'text',
+      headers: { 'User-Agent': USER_AGENT }
+    });
+    return data;
+  }
+  return await fs.readFile(toFilePath(location), 'utf8');
+};
+
+// Conditional GET: sends the validators from the previous poll and reports
+// `notModified` on a 304. Local files are always read.
+const readFeedResource = async (location, { etag, lastModified } = {}) => {
+  if (!isRemote(location)) {
+    return { notModified: false, body: await readResource(location), etag: null, lastModified: null };
+  }
+
+  const response = await axios.get(location, {
+    timeout: FETCH_TIMEOUT,
+    responseType: 'text',
+    headers: {
+      'User-Agent': USER_AGENT,
+      ...(etag ? { 'If-None-Match': etag } : {}),
+      ...(lastModified ? { 'If-Modified-Since': lastModified } : {})
+    },
+    validateStatus: (status) => (status >= 200 && status < 300) || status === 304
+  });
+
+  return {
+    notModified: response.status === 304,
+    body: response.status === 304 ? null : response.data,
+    etag: response.headers.etag || etag || null,
+    lastModified: response.headers['last-modified'] || lastModified || null
+  };
+};
+
+const hashContent = (article) => crypto
+  .createHash('sha256')
+  .update(`${article.title}\n${article.text}`)
+  .digest('hex');
+
+// Item link as a location to read. Links in a remote feed resolve against
+// the feed URL and must be http(s), so a feed cannot point ingestion at local
+// files (null otherwise). Only local fixture feeds may link to files, with
+// relative links pointing next to the feed.
+const resolveLink = (link, feedLocation) => {
+  if (!link) return null;
+  if (isRemote(feedLocation)) {
+    try {
+      const url = new URL(link, feedLocation);
+      return url.protocol === 'http:' || url.protocol === 'https:' ? url.toString() : null;
+    } catch {
+      return null;
+    }
+  }
+  if (isRemote(link) || link.startsWith('file://') || path.isAbsolute(link)) return link;
+  return path.resolve(path.dirname(toFilePath(feedLocation)), link);
+};
+
+// Chroma rejects null metadata values
+const compactMetadata = (metadata) => Object.fromEntries(
+  Object.entries(metadata).filter(([, value]) => value !== null && value !== undefined)
+);
+
+// Publish date as epoch seconds, since Chroma range filters only compare numbers
+const toTimestamp = (date) => {
+  const time = Date.parse(date);
+  return isNaN(time) ? null : Math.floor(time / 1000);
+};
+
+class IngestService {
+  constructor() {
+    this.chromaClient = null;
+  }
+
+  // ---------- Gather feed items ----------
+  // Fetch and parse one feed (a registry record or a URL). Items carry the
+  // feed's category and language. Pass the validators from a previous read
+  // to make a conditional request; `notModified` is then true on a 304.
+  async readFeed(feed, validators = {}) {
+    const record = await feedService.resolve(feed);
+    const { notModified, body, etag, lastModified } = await readFeedResource(record.url, validators);
+    if (notModified) {
+      return { notModified, etag, lastModified, title: null, items: [] };
+    }
+
+    const parsed = parseFeed(body);
+    const items = parsed.items
+      .map(item => ({
+        ...item,
+        url: resolveLink(item.url, record.url),
+        feed: record.url,
+        feedId: record.id,
+        feedTitle: record.name || parsed.title,
+        category: record.category,
+        language: record.language
+      }))
+      .filter(item => item.url)
+      .slice(0, record.maxItems || undefined);
+
+    return { notModified, etag, lastModified, title: parsed.title, items };
+  }
+
+  // Article URLs given directly come first, then items from each feed
+  async gatherItems(feeds, maxItems, stats, urls = []) {
+    const items = [];
+    const seen = new Set();
+
+    for (const url of urls) {
+      if (items.length >= maxItems) break;
+      if (url && !seen.has(url)) {
+        seen.add(url);
+        items.push({ guid: url, url, title: '', date: null, summary: '', content: '' });
+      }
+    }
+
+    for (const feed of feeds) {
+      if (items.length >= maxItems) break;
+
+      try {
+        const { items: feedItems } = await this.readFeed(feed);
+
+        for (const item of feedItems) {
+          if (items.length >= maxItems) break;
+
+          if (!seen.has(item.url)) {
+            seen.add(item.url);
+            items.push(item);
+          }
+        }
+      } catch (error) {
+        stats.feedsFailed++;
+        console.warn(`⚠️ Failed to read feed ${feed.url || feed}: ${error.message}`);
+      }
+    }
+
+    console.log(`✅ Collected ${items.length} URLs from ${feeds.length} feeds and ${urls.length} direct URLs`);
+    return items;
+  }
+
+  // ---------- Extract articles ----------
+  // Fetches the article page and falls back to the feed's own content when
+  // the page cannot be fetched (or `offline` forbids remote requests).
+  async fetchArticle(item, { offline = false } = {}) {
+    let extracted = null;
+
+    if (!offline || !isRemote(item.url)) {
+      try {
+        extracted = extractArticle(await readResource(item.url), item.url);
+      } catch (error) {
+        console.warn(`⚠️ Failed to fetch ${item.url}: ${error.message}`);
+      }
+    }
+
+    let text = extracted?.text || '';
+    if (text.length < MIN_TEXT_LENGTH) {
+      const feedText = htmlToText(item.content || item.summary);
+      if (feedText.length > text.length) text = feedText;
+    }
+
+    if (text.trim().length < MIN_TEXT_LENGTH) {
+      return null;
+    }
+
+    // Prefer the page's canonical URL so the same story keeps one id; the
+    // extractor only returns one on the fetched host
+    const url = extracted?.url || item.url;
+
+    const title = extracted?.title || item.title || '';
+    const article = {
+      id: url,
+      url,
+      title,
+      text,
+      date: extracted?.date || item.date || null,
+      source: extracted?.source || hostnameOf(item.url) || item.feedTitle || null,
+      // Lowercased so chat category filters match case-insensitively
+      category: item.category ? item.category.toLowerCase() : null,
+      // The feed's configured language, else detected from the article;
+      // stored as the base code ("en-US" → "en") like detected languages
+      language: baseLanguage(item.language) || detectLanguage(`${title}\n${text}`),
+      feedId: item.feedId || null
+    };
+    article.contentHash = hashContent(article);
+    return article;
+  }
+
+  // Articles that are new or whose content hash differs from the stored one
+  async filterChanged(articles) {
+    if (articles.length === 0) return [];
+
+    const collection = await this.getCollection();
+    const stored = await collection.get({
+      where: {
+        $and: [
+          { article_id: { $in: articles.map(article => article.url) } },
+          { chunk_index: 0 }
+        ]
+      },
+      include: ['metadatas']
+    });
+
+    const storedHashes = new Map(
+      (stored.metadatas || []).filter(Boolean).map(meta => [meta.article_id, meta.content_hash])
+    );
+    return articles.filter(article => storedHashes.get(article.url) !== article.contentHash);
+  }
+
+  // ---------- Entities ----------
+  // Sets `entities` ({ person, organization, place }) on each article; a
+  // failed extraction leaves the article without entities
+  async extractEntities(articles) {
+    await mapWithConcurrency(articles, FETCH_CONCURRENCY, async (article) => {
+      try {
+        article.entities = await entityService.extract(article);
+      } catch (error) {
+        console.warn(`⚠️ Entity extraction failed for ${article.url}: ${error.message}`);
+        article.entities = null;
+      }
+    });
+
+    const count = articles.reduce((sum, article) => sum + Object.values(article.entities || {}).flat().length, 0);
+    console.log(`🏷️ Extracted ${count} entities from ${articles.length} articles`);
+  }
+
+  // ---------- Chunking ----------
+  // One record per chunk, linked back to its article by URL
+  chunkArticles(articles, { size = CHUNK_SIZE, overlap = CHUNK_OVERLAP } = {}) {
+    return articles.flatMap(article => {
+      const pieces = chunkText(article.text, { size, overlap });
+      return pieces.map((text, index) => ({
+        ...article,
+        id: `${article.url}#chunk-${index}`,
+        text,
+        articleId: article.url,
+        chunkIndex: index,
+        chunkCount: pieces.length
+      }));
+    });
+  }
+
+  // ---------- Embedding ----------
+  async embedChunks(chunks, onBatch) {
+    const embeddings = [];
+
+    for (let i = 0; i < chunks.length; i += BATCH_SIZE) {
+      const batch = chunks.slice(i, i + BATCH_SIZE);
+      embeddings.push(...await embeddingService.embed(batch.map(chunk => chunk.text)));
+      if (onBatch) onBatch(embeddings.length);
+    }
+
+    return embeddings;
+  }
+
+  // ---------- Store in Chroma ----------
+  // Creates the collection with the embedding model recorded in its metadata,
+  // or checks that an existing collection was embedded with the same model.
+  async getCollection() {
+    if (!this.chromaClient) {
+      this.chromaClient = createChromaClient();
+    }
+
+    const expected = await embeddingService.collectionMetadata();
+    const collection = await this.chromaClient.getOrCreateCollection({
+      name: COLLECTION_NAME,
+      metadata: expected
+    });
+
+    const stored = collection.metadata || {};
+    if (!stored.embedding_model) {
+      await collection.modify({ metadata: { ...stored, ...expected } });
+    } else {
+      await embeddingService.assertCompatible(COLLECTION_NAME, stored);
+    }
+    return collection;
+  }
+
+  async storeChunks(chunks, embeddings) {
+    const collection = await this.getCollection();
+
+    const articleIds = [...new Set(chunks.map(chunk => chunk.articleId))];
+
+    // Assign stories before the old chunks go, so neighbours are compared
+    // against what is stored now
+    const stories = await storyService.assignStories(collection, articleIds.map(articleId => {
+      const indexes = chunks.flatMap((chunk, i) => (chunk.articleId === articleId ? [i] : []));
+      return {
+        id: articleId,
+        text: indexes.map(i => chunks[i].text).join(' '),
+        publishedTs: toTimestamp(chunks[indexes[0]].date),
+        embeddings: indexes.map(i => embeddings[i])
+      };
+    }));
+
+    // Drop previous chunks of these articles so shorter re-ingests leave no
+    // strays, along with any whole-article record stored before chunking
+    if (articleIds.length > 0) {
+      await collection.delete({ where: { article_id: { $in: articleIds } } });
+      await collection.delete({ ids: articleIds });
+    }
+
+    const metadatas = chunks.map(chunk => compactMetadata({
+      title: chunk.title,
+      url: chunk.url,
+      date: chunk.date,
+      published_ts: toTimestamp(chunk.date),
+      source: chunk.source,
+      category: chunk.category,
+      language: chunk.language,
+      feed_id: chunk.feedId,
+      article_id: chunk.articleId,
+      chunk_index: chunk.chunkIndex,
+      chunk_count: chunk.chunkCount,
+      content_hash: chunk.contentHash,
+      story_id: stories.get(chunk.articleId).storyId,
+      duplicate_of: stories.get(chunk.articleId).duplicateOf,
+      ...entitiesToMetadata(chunk.entities || {})
+    }));
+
+    await collection.upsert({
+      ids: chunks.map(chunk => chunk.id),
+      documents: chunks.map(chunk => chunk.text),
+      embeddings,
+      metadatas
+    });
+
+    // Keep the BM25 index used for hybrid search and the entity index in
+    // step with the collection
+    await keywordIndex.upsertArticles(articleIds, chunks.map((chunk, i) => ({
+      id: chunk.id,
+      document: chunk.text,
+      metadata: metadatas[i]
+    })));
+    await entityService.upsertArticles(articleIds.map(articleId => ({
+      id: articleId,
+      metadata: metadatas[chunks.findIndex(chunk => chunk.articleId === articleId)]
+    })));
+
+    console.log(`✅ Upserted ${chunks.length} chunks of ${articleIds.length} articles into Chroma collection '${COLLECTION_NAME}'`);
+
+    // Cached answers, briefings and timelines are now stale: they may cite
+    // old versions, and none of them could have found the new articles
+    await redisService.clearQueries();
+    await redisService.clearBriefings();
+    await redisService.clearTimelines();
+    return chunks.length;
+  }
+
+  // ---------- Main ----------
+  createStats(overrides = {}) {
+    return {
+      feeds: 0,
+      urls: 0,
+      feedsFailed: 0,
+      feedsNotModified: 0,
+      gathered: 0,
+      fetched: 0,
+      failed: 0,
+      unchanged: 0,
+      chunks: 0,
+      embedded: 0,
+      inserted: 0,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      ...overrides
+    };
+  }
+
+  // Fetch, chunk, embed and store already-gathered feed items.
+  // With `incremental`, articles whose content hash matches the stored
+  // version are skipped before embedding.
+  async ingestItems(items, {
+    offline = false,
+    dryRun = false,
+    incremental = false,
+    onProgress,
+    onFailed,
+    stats = this.createStats()
+  } = {}) {
+    const report = () => onProgress && onProgress({ ...stats });
+
+    stats.gathered = items.length;
+    report();
+
+    const fetched = await mapWithConcurrency(items, FETCH_CONCURRENCY, async (item) => {
+      const article = await this.fetchArticle(item, { offline });
+      if (article) {
+        stats.fetched++;
+      } else {
+        stats.failed++;
+        onFailed?.(item);
+      }
+      report();
+      return article;
+    });
+
+    // The same canonical URL can appear under several feed links
+    const byUrl = new Map();
+    for (const article of fetched.filter(Boolean)) {
+      byUrl.set(article.url, article);
+    }
+    let articles = [...byUrl.values()];
+    console.log(`✅ Got ${articles.length} usable articles`);
+
+    if (incremental && !dryRun) {
+      const changed = await this.filterChanged(articles);
+      stats.unchanged = articles.length - changed.length;
+      articles = changed;
+      console.log(`♻️ ${stats.unchanged} articles unchanged, ${articles.length} new or updated`);
+    }
+
+    if (articles.length > 0) {
+      await this.extractEntities(articles);
+
+      const chunks = this.chunkArticles(articles);
+      stats.chunks = chunks.length;
+      report();
+
+      const embeddings = await this.embedChunks(chunks, (count) => {
+        stats.embedded = count;
+        report();
+      });
+
+      if (!dryRun) {
+        stats.inserted = await this.storeChunks(chunks, embeddings);
+      }
+    }
+
+    stats.finishedAt = new Date().toISOString();
+    report();
+
+    console.log(`🏁 Ingestion finished: ${stats.fetched} fetched, ${stats.failed} failed, ${stats.inserted} inserted`);
+    return stats;
+  }
+
+  // Options:
+  //   feeds        feed records, URLs or local paths
+  //   urls         article URLs to ingest directly
+  //                (with neither feeds nor urls, the enabled registry feeds are used)
+  //   maxItems     maximum number of feed items to process
+  //   offline      never make network requests; use feed content for remote links
+  //   dryRun       stop after embedding, without writing to Chroma
+  //   incremental  skip articles whose content has not changed
+  //   onProgress   called with a stats snapshot whenever a counter changes
+  async run({
+    feeds,
+    urls = [],
+    maxItems = TARGET_NUM,
+    offline = false,
+    dryRun = false,
+    incremental = false,
+    onProgress
+  } = {}) {
+    if (!feeds) {
+      feeds = urls.length > 0 ? [] : await feedService.listEnabled();
+    }
+
+    const stats = this.createStats({ feeds: feeds.length, urls: urls.length });
+
+    console.log(`📰 Starting ingestion from ${feeds.length} feeds${offline ? ' (offline)' : ''}...`);
+
+    const items = await this.gatherItems(feeds, maxItems, stats, urls);
+    return await this.ingestItems(items, { offline, dryRun, incremental, onProgress, stats });
+  }
+}
+
+// Export singleton instance
+const ingestService = new IngestService();
+module.exports = ingestService;
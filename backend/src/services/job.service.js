@@ -0,0 +1,126 @@
+const { v4: uuidv4 } = require('uuid');
+const redisService = require('./redis.service');
+const ingestService = require('./ingest.service');
+
+const JOB_TTL = parseInt(process.env.JOB_TTL) || 604800; // 7 days default
+
+// Job types that write to the same collection and must not overlap
+const CONFLICTING_TYPES = {
+  ingest: ['retention'],
+  retention: ['ingest']
+};
+
+// Background jobs whose state lives in Redis (`job:<id>`, history in
+// `jobs:<type>`), so progress can be polled from any server process.
+class JobService {
+  constructor() {
+    // Job type -> id of the job currently running
+    this.activeJobs = new Map();
+  }
+
+  async createJob(type, params, id = uuidv4()) {
+    const job = {
+      id,
+      type,
+      status: 'queued',
+      params,
+      progress: {},
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    await redisService.saveJob(job, JOB_TTL);
+    await redisService.addJobToHistory(type, job.id);
+    return job;
+  }
+
+  async updateJob(job, changes) {
+    Object.assign(job, changes);
+    await redisService.saveJob(job, JOB_TTL);
+    return job;
+  }
+
+  async getJob(jobId) {
+    return await redisService.getJob(jobId);
+  }
+
+  async listJobs(type, limit = 20) {
+    return await redisService.getJobHistory(type, limit);
+  }
+
+  getActiveJobId(type) {
+    return this.activeJobs.get(type) || null;
+  }
+
+  // The running job that keeps a job of `type` from starting: one of the
+  // same type or of a conflicting type. Null when it may start.
+  getBlockingJobId(type) {
+    const blocking = [type, ...(CONFLICTING_TYPES[type] || [])].find(other => this.activeJobs.has(other));
+    return blocking ? this.activeJobs.get(blocking) : null;
+  }
+
+  // Run `task(onProgress)` in the background and return the job record
+  // immediately. Only one job per type runs at a time, and never alongside
+  // a conflicting type; returns null if such a job is already running. The
+  // slot is taken before the job record is written, so concurrent calls
+  // cannot both start one.
+  async startJob(type, params, task) {
+    if (this.getBlockingJobId(type)) {
+      return null;
+    }
+
+    const jobId = uuidv4();
+    this.activeJobs.set(type, jobId);
+
+    let job;
+    try {
+      job = await this.createJob(type, params, jobId);
+    } catch (error) {
+      this.activeJobs.delete(type);
+      throw error;
+    }
+
+    const run = async () => {
+      try {
+        await this.updateJob(job, { status: 'running', startedAt: new Date().toISOString() });
+
+        const result = await task((progress) => {
+          job.progress = progress;
+          redisService.saveJob(job, JOB_TTL);
+        });
+
+        await this.updateJob(job, {
+          status: 'completed',
+          progress: result,
+          result,
+          finishedAt: new Date().toISOString()
+        });
+        console.log(`✅ ${type} job ${job.id.slice(0, 8)}... completed`);
+      } catch (error) {
+        console.error(`❌ ${type} job ${job.id.slice(0, 8)}... failed:`, error);
+        await this.updateJob(job, {
+          status: 'failed',
+          error: error.message,
+          finishedAt: new Date().toISOString()
+        });
+      } finally {
+        this.activeJobs.delete(type);
+      }
+    };
+
+    run();
+    return job;
+  }
+
+  // Ingestion writes to a single collection, so admin runs, startup runs and
+  // scheduled polls share the 'ingest' job type and never overlap, nor run
+  // alongside retention
+  async startIngestJob(params) {
+    return await this.startJob('ingest', params, (onProgress) => ingestService.run({ ...params, onProgress }));
+  }
+}
+
+module.exports = new JobService();
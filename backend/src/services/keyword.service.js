@@ -0,0 +1,316 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { createChromaClient, COLLECTION_NAME } = require('../config/chroma.config');
+
+// ---------- CONFIG ----------
+const KEYWORD_INDEX_FILE = process.env.KEYWORD_INDEX_FILE || path.join(__dirname, '../../data/keyword-index.json');
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const TITLE_WEIGHT = 2; // title terms count this many times
+const SCAN_PAGE_SIZE = 500;
+// Cross-process lock around index updates (`<file>.lock`)
+const LOCK_RETRY_MS = 50;
+const LOCK_TIMEOUT_MS = 60 * 1000;
+const LOCK_STALE_MS = 5 * 60 * 1000;
+// Wait before rebuilding again after Chroma could not be reached
+const REBUILD_RETRY_MS = 60 * 1000;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'did', 'do', 'does', 'for', 'from',
+  'had', 'has', 'have', 'how', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the',
+  'their', 'there', 'they', 'this', 'to', 'was', 'were', 'what', 'when', 'where', 'which',
+  'who', 'why', 'will', 'with', 'about', 'any', 'latest', 'news', 'tell', 'me'
+]);
+
+// Lowercased words and numbers; keeps "3.5", "u.s" and tickers like "aapl",
+// and joins thousands separators so "1,200" matches "1200"
+const tokenize = (text) => {
+  const normalized = (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/(\d),(?=\d{3}\b)/g, '$1')
+    .replace(/['’]s\b/g, '');
+
+  return (normalized.match(/[\p{L}\p{N}]+(?:\.[\p{L}\p{N}]+)*/gu) || [])
+    .filter(token => !STOPWORDS.has(token) && (token.length > 1 || /\d/.test(token)));
+};
+
+// Evaluate the subset of Chroma `where` syntax used by the chat pipeline.
+// Like Chroma, $ne / $nin also match records that lack the field.
+const matchesWhere = (metadata, where) => {
+  if (!where) return true;
+
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === '$and') return condition.every(clause => matchesWhere(metadata, clause));
+    if (key === '$or') return condition.some(clause => matchesWhere(metadata, clause));
+
+    const value = metadata[key];
+    const ops = condition !== null && typeof condition === 'object' ? condition : { $eq: condition };
+    return Object.entries(ops).every(([op, operand]) => {
+      switch (op) {
+        case '$eq': return value === operand;
+        case '$ne': return value !== operand;
+        case '$in': return operand.includes(value);
+        case '$nin': return !operand.includes(value);
+        case '$gt': return typeof value === 'number' && value > operand;
+        case '$gte': return typeof value === 'number' && value >= operand;
+        case '$lt': return typeof value === 'number' && value < operand;
+        case '$lte': return typeof value === 'number' && value <= operand;
+        default: return false;
+      }
+    });
+  });
+};
+
+// BM25 index over chunk titles and text, kept next to the Chroma collection
+// in KEYWORD_INDEX_FILE. Ingestion and retention update it; the server
+// reloads it when another process (e.g. `npm run ingest`) rewrites the file,
+// and builds it from Chroma the first time it is missing. Updates hold a
+// lock file and reload the latest file before applying their change, so
+// processes never overwrite each other's updates.
+class KeywordIndexService {
+  constructor() {
+    this.reset();
+    this.loadedMtime = null;
+    this.loading = null;
+    this.rebuildRetryAt = 0;
+    this.writeQueue = Promise.resolve();
+  }
+
+  reset() {
+    // id -> { document, metadata, terms: Map(term -> tf), length }
+    this.docs = new Map();
+    // term -> Map(id -> tf)
+    this.postings = new Map();
+    this.totalLength = 0;
+  }
+
+  addDocument(id, document, metadata = {}) {
+    this.removeDocument(id);
+
+    const tokens = [
+      ...Array(TITLE_WEIGHT).fill(tokenize(metadata.title)).flat(),
+      ...tokenize(document)
+    ];
+    const terms = new Map();
+    for (const token of tokens) {
+      terms.set(token, (terms.get(token) || 0) + 1);
+    }
+
+    for (const [term, tf] of terms) {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(id, tf);
+    }
+    this.docs.set(id, { document, metadata, terms, length: tokens.length });
+    this.totalLength += tokens.length;
+  }
+
+  removeDocument(id) {
+    const doc = this.docs.get(id);
+    if (!doc) return;
+
+    for (const term of doc.terms.keys()) {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) this.postings.delete(term);
+    }
+    this.totalLength -= doc.length;
+    this.docs.delete(id);
+  }
+
+  // ---------- Persistence ----------
+  async readMtime() {
+    try {
+      return (await fs.stat(KEYWORD_INDEX_FILE)).mtimeMs;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async load() {
+    const records = JSON.parse(await fs.readFile(KEYWORD_INDEX_FILE, 'utf8'));
+    this.reset();
+    for (const [id, document, metadata] of records) {
+      this.addDocument(id, document, metadata);
+    }
+  }
+
+  // Replace the file atomically
+  async save() {
+    const snapshot = JSON.stringify([...this.docs].map(([id, doc]) => [id, doc.document, doc.metadata]));
+    await fs.mkdir(path.dirname(KEYWORD_INDEX_FILE), { recursive: true });
+    const tmpFile = `${KEYWORD_INDEX_FILE}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, snapshot);
+    await fs.rename(tmpFile, KEYWORD_INDEX_FILE);
+    this.loadedMtime = await this.readMtime();
+  }
+
+  // Take `<file>.lock`, waiting while another process holds it; a lock left
+  // behind by a crashed process is taken over once stale. Returns a release
+  // function.
+  async lock() {
+    const lockFile = `${KEYWORD_INDEX_FILE}.lock`;
+    await fs.mkdir(path.dirname(KEYWORD_INDEX_FILE), { recursive: true });
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    for (;;) {
+      try {
+        const handle = await fs.open(lockFile, 'wx');
+        await handle.writeFile(String(process.pid));
+        await handle.close();
+        return () => fs.rm(lockFile, { force: true });
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      const lockedAt = await fs.stat(lockFile).then(stat => stat.mtimeMs, () => null);
+      if (lockedAt !== null && Date.now() - lockedAt > LOCK_STALE_MS) {
+        console.warn(`⚠️ Keyword index: removing stale lock ${lockFile}`);
+        await fs.rm(lockFile, { force: true });
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Keyword index is locked by another process (${lockFile})`);
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+
+  // Apply `change()` to the latest saved index and save it. Updates of this
+  // process run one at a time; the lock keeps other processes out between
+  // reading the file and replacing it.
+  async update(change) {
+    const run = this.writeQueue.then(async () => {
+      const release = await this.lock();
+      try {
+        // Never save a partial index over one that could not be built yet
+        this.rebuildRetryAt = 0;
+        await this.ensureLoaded();
+        if (this.loadedMtime === null) {
+          throw new Error('Keyword index could not be built from Chroma');
+        }
+        change();
+        await this.save();
+      } finally {
+        await release();
+      }
+    });
+    this.writeQueue = run.catch(() => {});
+    await run;
+  }
+
+  // Index every chunk currently in the Chroma collection
+  async rebuild() {
+    const client = createChromaClient();
+    let collection;
+    try {
+      collection = await client.getCollection({ name: COLLECTION_NAME });
+    } catch (error) {
+      this.reset();
+      if (error.name !== 'ChromaNotFoundError') {
+        // Chroma unreachable: stay empty without saving, and retry later
+        console.warn(`⚠️ Keyword index: collection '${COLLECTION_NAME}' unavailable (${error.message}), retrying in ${REBUILD_RETRY_MS / 1000}s`);
+        this.rebuildRetryAt = Date.now() + REBUILD_RETRY_MS;
+        return;
+      }
+      // Nothing ingested yet: save the empty index so searches do not retry
+      // the rebuild; ingestion fills it
+      console.warn(`⚠️ Keyword index: collection '${COLLECTION_NAME}' does not exist yet, starting empty`);
+      await this.save();
+      return;
+    }
+
+    this.reset();
+    for (let offset = 0; ; offset += SCAN_PAGE_SIZE) {
+      const page = await collection.get({ limit: SCAN_PAGE_SIZE, offset, include: ['documents', 'metadatas'] });
+      const ids = page.ids || [];
+      ids.forEach((id, i) => this.addDocument(id, page.documents?.[i] || '', page.metadatas?.[i] || {}));
+      if (ids.length < SCAN_PAGE_SIZE) break;
+    }
+
+    await this.save();
+    console.log(`🔤 Built keyword index with ${this.docs.size} chunks at ${KEYWORD_INDEX_FILE}`);
+  }
+
+  // Load the index file if it changed since the last read, or build it
+  async ensureLoaded() {
+    if (this.loading) return await this.loading;
+
+    this.loading = (async () => {
+      const mtime = await this.readMtime();
+      if (mtime === null) {
+        this.loadedMtime = null;
+        if (Date.now() >= this.rebuildRetryAt) await this.rebuild();
+      } else if (mtime !== this.loadedMtime) {
+        await this.load();
+        this.loadedMtime = mtime;
+      }
+    })();
+
+    try {
+      await this.loading;
+    } finally {
+      this.loading = null;
+    }
+  }
+
+  // ---------- Updates ----------
+  // Replace all chunks of the given articles with `records` ({ id, document, metadata })
+  async upsertArticles(articleIds, records) {
+    const targets = new Set(articleIds);
+    await this.update(() => {
+      for (const [id, doc] of this.docs) {
+        if (targets.has(doc.metadata.article_id) || targets.has(id)) {
+          this.removeDocument(id);
+        }
+      }
+      for (const record of records) {
+        this.addDocument(record.id, record.document, record.metadata);
+      }
+    });
+  }
+
+  async remove(ids) {
+    await this.update(() => ids.forEach(id => this.removeDocument(id)));
+  }
+
+  // ---------- Search ----------
+  // Distinct `source` values (hostnames) of the indexed chunks
+  async listSources() {
+    await this.ensureLoaded();
+    return [...new Set([...this.docs.values()].map(doc => doc.metadata.source).filter(Boolean))];
+  }
+
+  // Top `limit` chunks by BM25 score among those matching `where`
+  async search(query, { limit = 20, where = null } = {}) {
+    await this.ensureLoaded();
+
+    const docCount = this.docs.size;
+    if (docCount === 0) return [];
+
+    const avgLength = this.totalLength / docCount;
+    const scores = new Map();
+
+    for (const term of new Set(tokenize(query))) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+
+      const idf = Math.log(1 + (docCount - posting.size + 0.5) / (posting.size + 0.5));
+      for (const [id, tf] of posting) {
+        const length = this.docs.get(id).length;
+        const weight = idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * length / avgLength));
+        scores.set(id, (scores.get(id) || 0) + weight);
+      }
+    }
+
+    return [...scores]
+      .filter(([id]) => matchesWhere(this.docs.get(id).metadata, where))
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([id, score]) => ({ id, score, document: this.docs.get(id).document, metadata: this.docs.get(id).metadata }));
+  }
+}
+
+module.exports = new KeywordIndexService();
@@ -0,0 +1,53 @@
+const { getLLMConfig } = require('../config/llm.config');
+const GeminiProvider = require('../providers/llm/gemini.provider');
+const OpenAICompatibleProvider = require('../providers/llm/openai.provider');
+const MockProvider = require('../providers/llm/mock.provider');
+
+const PROVIDERS = {
+  gemini: (config) => new GeminiProvider(config.gemini),
+  openai: (config) => new OpenAICompatibleProvider(config.openai),
+  mock: (config) => new MockProvider(config.mock)
+};
+
+// Thin facade over the configured LLM provider (LLM_PROVIDER env var).
+// Every provider implements `generate(request)` and
+// `generateStream(request, onChunk)` where request is { prompt, query?, context? }
+// and both resolve to { text, tokensUsed }.
+class LLMService {
+  constructor() {
+    this.provider = null;
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      const config = getLLMConfig();
+      const create = PROVIDERS[config.provider];
+      if (!create) {
+        throw new Error(`Unknown LLM_PROVIDER "${config.provider}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+      }
+      this.provider = create(config);
+      console.log(`🤖 Using LLM provider: ${this.provider.name} (${this.provider.model})`);
+    }
+    return this.provider;
+  }
+
+  async generate(request) {
+    return await this.getProvider().generate(request);
+  }
+
+  async generateStream(request, onChunk) {
+    return await this.getProvider().generateStream(request, onChunk);
+  }
+
+  healthCheck() {
+    try {
+      const provider = this.getProvider();
+      return { status: 'healthy', provider: provider.name, model: provider.model };
+    } catch (error) {
+      return { status: 'unhealthy', error: error.message };
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new LLMService();
@@ -0,0 +1,147 @@
+const llmService = require('./llm.service');
+
+// ---------- CONFIG ----------
+// llm: ask the configured LLM for sub-queries, falling back to the heuristic
+// heuristic: split comparisons and multi-part questions; off: one search
+const QUERY_DECOMPOSITION = (process.env.QUERY_DECOMPOSITION || 'llm').toLowerCase();
+const MAX_SUB_QUERIES = parseInt(process.env.MAX_SUB_QUERIES) || 3;
+const MAX_QUERY_LENGTH = 300;
+
+// Questions that need more than one retrieval
+const COMPLEX_PATTERNS = [
+  /\b(compare|compared|comparing|comparison|contrast|versus|vs\.?|differ|differs|difference|differences)\b/i,
+  /\b(both|each of|respectively)\b/i,
+  /\?.*\S.*\?/,
+  /\b(and|also|as well as)\s+(what|how|why|who|when|where|which)\b/i
+];
+
+// Comparison phrasing stripped before splitting a comparison into its sides
+const COMPARISON_LEADS = [
+  /^(please\s+)?(compare|contrast)\s+(between\s+)?/i,
+  /^(what('s| is| are)|tell me|explain)\s+(the\s+)?(main\s+)?differences?\s+(between|in)\s+/i,
+  /^how\s+(do|does|did)\s+(.+?)\s+differ\b/i
+];
+
+// Words that can be capitalised without naming anything
+const LEADING_WORDS = new Set([
+  'how', 'what', 'why', 'who', 'when', 'where', 'which', 'did', 'does', 'do', 'is', 'are',
+  'was', 'were', 'has', 'have', 'can', 'could', 'should', 'the', 'a', 'an', 'between'
+]);
+
+const CONJUNCTION = '(?:\\s*,\\s*(?:and\\s+|or\\s+)?|\\s+(?:and|or|vs\\.?|versus)\\s+)';
+const NAME = "[A-Z0-9][\\w.&'-]*(?:\\s+[A-Z0-9][\\w.&'-]*)*";
+const WORD = "[\\w.&'-]+";
+
+const clean = (text) => text.replace(/\s+/g, ' ').replace(/^[\s,;:-]+|[\s,;:-]+$/g, '');
+
+// Names joined by "and" / "vs" / commas ("BBC and CNN", "Tesla, Ford or GM"),
+// falling back to single words ("inflation vs unemployment")
+const findAlternatives = (text) => {
+  for (const part of [NAME, WORD]) {
+    const match = text.match(new RegExp(`\\b${part}(?:${CONJUNCTION}${part})+`));
+    if (!match) continue;
+
+    const items = match[0]
+      .split(new RegExp(CONJUNCTION))
+      .map(item => item.split(' ').filter((word, i) => i > 0 || !LEADING_WORDS.has(word.toLowerCase())).join(' '))
+      .filter(Boolean);
+    if (items.length < 2) continue;
+
+    // Leading question words were dropped from the first item, so locate it again
+    const start = match.index + match[0].indexOf(items[0]);
+    return { items, start, end: match.index + match[0].length };
+  }
+  return null;
+};
+
+// Decides whether a question needs several retrievals ("compare how BBC and
+// CNN covered the summit") and turns it into standalone sub-queries that are
+// searched separately, so each side of the question gets its own articles.
+class QueryPlannerService {
+  isComplex(query) {
+    return COMPLEX_PATTERNS.some(pattern => pattern.test(query));
+  }
+
+  // "Compare how BBC and CNN covered the summit" →
+  // ["how BBC covered the summit", "how CNN covered the summit"]
+  splitComparison(query) {
+    let text = query.trim();
+    for (const lead of COMPARISON_LEADS) {
+      const match = text.match(lead);
+      if (!match) continue;
+      // "How did X and Y differ on Z" keeps the subject and what follows
+      text = match[2] && /differ$/i.test(match[0]) ? `${match[2]}${text.slice(match[0].length)}` : text.slice(match[0].length);
+      break;
+    }
+
+    const alternatives = findAlternatives(text);
+    if (!alternatives) return [];
+
+    const before = text.slice(0, alternatives.start);
+    const after = text.slice(alternatives.end);
+    return alternatives.items.map(item => clean(`${before}${item}${after}`));
+  }
+
+  heuristicPlan(query) {
+    // Several questions in one message are searched one by one
+    const questions = query.split('?').map(clean).filter(part => part.split(' ').length > 1);
+    if (questions.length > 1) return questions;
+
+    const parts = query.split(/\b(?:and|also|as well as)\s+(?=(?:what|how|why|who|when|where|which)\b)/i).map(clean).filter(Boolean);
+    if (parts.length > 1) return parts;
+
+    return this.splitComparison(query);
+  }
+
+  async llmPlan(query) {
+    const prompt = `Split the question below into at most ${MAX_SUB_QUERIES} standalone news search queries, one for each thing that has to be looked up to answer it.
+
+Question: ${query}
+
+Instructions:
+- Each query must make sense on its own, so repeat names and dates
+- For comparisons, write one query per side (e.g. "how BBC covered the summit", "how CNN covered the summit")
+- If the question needs only one search, reply with it unchanged
+- Reply with one query per line, without numbering or explanation
+
+Queries:`;
+
+    const result = await llmService.generate({ prompt, query });
+    const queries = (result.text || '')
+      .split('\n')
+      .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').replace(/^["'“]|["'”]$/g, '').trim())
+      .filter(line => line && !/^queries:?$/i.test(line));
+
+    if (queries.length === 0 || queries.some(line => line.length > MAX_QUERY_LENGTH)) {
+      throw new Error('LLM returned no usable queries');
+    }
+    return queries;
+  }
+
+  // Returns { queries, method }: the sub-queries to search, or just [query]
+  // with a null method when the question is searched as is
+  async plan(query) {
+    if (QUERY_DECOMPOSITION === 'off' || !this.isComplex(query)) {
+      return { queries: [query], method: null };
+    }
+
+    let queries = null;
+    let method = 'heuristic';
+    if (QUERY_DECOMPOSITION === 'llm') {
+      try {
+        queries = await this.llmPlan(query);
+        method = 'llm';
+      } catch (error) {
+        console.warn(`⚠️ Query decomposition failed, using heuristic: ${error.message}`);
+      }
+    }
+    if (!queries) {
+      queries = this.heuristicPlan(query);
+    }
+
+    const unique = [...new Map(queries.map(item => [item.toLowerCase(), item])).values()].slice(0, MAX_SUB_QUERIES);
+    return unique.length > 1 ? { queries: unique, method } : { queries: [query], method: null };
+  }
+}
+
+module.exports = new QueryPlannerService();
@@ -93,6 +93,13 @@ class RedisService {
       }
       
       const result = await this.client.del(`session:${sessionId}`);
+      await this.client.del(`filters:${sessionId}`);
+      await this.client.del(`session-key:${sessionId}`);
+      const ownerId = await this.client.get(`session-owner:${sessionId}`);
+      if (ownerId) {
+        await this.client.del(`session-owner:${sessionId}`);
+        await this.client.zRem(`user-sessions:${ownerId}`, sessionId);
+      }
       console.log(`🗑️ Cleared session ${sessionId.slice(0, 8)}...`);
       return result > 0;
     } catch (error) {
@@ -101,6 +108,145 @@ class RedisService {
     }
   }
 
+  // Chat filters saved for a session, expiring with its history
+  async getSessionFilters(sessionId) {
+    try {
+      if (!this.isConnected) {
+        return null;
+      }
+
+      const filters = await this.client.get(`filters:${sessionId}`);
+      return filters ? JSON.parse(filters) : null;
+    } catch (error) {
+      console.error('❌ Error getting session filters:', error);
+      return null;
+    }
+  }
+
+  async saveSessionFilters(sessionId, filters) {
+    try {
+      if (!this.isConnected) {
+        return;
+      }
+
+      if (!filters) {
+        await this.client.del(`filters:${sessionId}`);
+        return;
+      }
+
+      const ttl = parseInt(process.env.SESSION_TTL) || 86400;
+      await this.client.setEx(`filters:${sessionId}`, ttl, JSON.stringify(filters));
+    } catch (error) {
+      console.error('❌ Error saving session filters:', error);
+    }
+  }
+
+  // User accounts. Unlike the caches, these never expire, and failing to
+  // store one is an error rather than a warning.
+  async createUser(user) {
+    if (!this.isConnected) {
+      throw new Error('Redis not connected, cannot store user');
+    }
+
+    // Claims the email first, so two registrations cannot both get it
+    const claimed = await this.client.set(`user-email:${user.email}`, user.id, { NX: true });
+    if (!claimed) {
+      return false;
+    }
+    await this.client.set(`user:${user.id}`, JSON.stringify(user));
+    return true;
+  }
+
+  async getUser(userId) {
+    try {
+      if (!this.isConnected) {
+        return null;
+      }
+
+      const user = await this.client.get(`user:${userId}`);
+      return user ? JSON.parse(user) : null;
+    } catch (error) {
+      console.error('❌ Error getting user:', error);
+      return null;
+    }
+  }
+
+  async getUserByEmail(email) {
+    try {
+      if (!this.isConnected) {
+        return null;
+      }
+
+      const userId = await this.client.get(`user-email:${email}`);
+      return userId ? await this.getUser(userId) : null;
+    } catch (error) {
+      console.error('❌ Error getting user by email:', error);
+      return null;
+    }
+  }
+
+  // Who may use a session: `session-owner:<sessionId>` holds the owning
+  // user, `session-key:<sessionId>` the hash of an anonymous session's key.
+  // Both expire with the session, and `user-sessions:<userId>` orders a
+  // user's sessions by last activity. These decide access, so failures throw
+  // instead of reading as "unowned".
+  async getSessionBinding(sessionId) {
+    if (!this.isConnected) {
+      throw new Error('Redis not connected, cannot look up session owner');
+    }
+    const [ownerId, keyHash, exists] = await Promise.all([
+      this.client.get(`session-owner:${sessionId}`),
+      this.client.get(`session-key:${sessionId}`),
+      this.client.exists(`session:${sessionId}`)
+    ]);
+    return { ownerId, keyHash, exists: exists > 0 };
+  }
+
+  // Replaces any anonymous key: the session now belongs to the user
+  async setSessionOwner(sessionId, userId) {
+    if (!this.isConnected) {
+      throw new Error('Redis not connected, cannot record session owner');
+    }
+    const ttl = parseInt(process.env.SESSION_TTL) || 86400;
+    await this.client.setEx(`session-owner:${sessionId}`, ttl, userId);
+    await this.client.del(`session-key:${sessionId}`);
+    await this.client.zAdd(`user-sessions:${userId}`, { score: Date.now(), value: sessionId });
+  }
+
+  async setSessionKey(sessionId, keyHash) {
+    if (!this.isConnected) {
+      throw new Error('Redis not connected, cannot record session key');
+    }
+    const ttl = parseInt(process.env.SESSION_TTL) || 86400;
+    await this.client.setEx(`session-key:${sessionId}`, ttl, keyHash);
+  }
+
+  // Most recently active first
+  async getUserSessionIds(userId) {
+    try {
+      if (!this.isConnected) {
+        return [];
+      }
+
+      return await this.client.zRange(`user-sessions:${userId}`, 0, -1, { REV: true });
+    } catch (error) {
+      console.error('❌ Error getting user sessions:', error);
+      return [];
+    }
+  }
+
+  async removeUserSessions(userId, sessionIds) {
+    try {
+      if (!this.isConnected || sessionIds.length === 0) {
+        return;
+      }
+
+      await this.client.zRem(`user-sessions:${userId}`, sessionIds);
+    } catch (error) {
+      console.error('❌ Error removing user sessions:', error);
+    }
+  }
+
   // Cache management for query results
   async cacheQuery(queryHash, results, ttl = 3600) {
     try {
@@ -137,6 +283,271 @@ class RedisService {
     }
   }
 
+  // Drop cached query results that include any of the given articles
+  async invalidateQueriesForArticles(articleIds) {
+    try {
+      if (!this.isConnected || articleIds.length === 0) {
+        return 0;
+      }
+
+      const targets = new Set(articleIds);
+      let removed = 0;
+
+      for await (const key of this.client.scanIterator({ MATCH: 'query:*', COUNT: 100 })) {
+        const cached = await this.client.get(key);
+        if (!cached) continue;
+
+        const results = JSON.parse(cached);
+        const metadatas = (results.metadatas || []).flat().filter(Boolean);
+        if (metadatas.some(meta => targets.has(meta.article_id) || targets.has(meta.url))) {
+          await this.client.del(key);
+          removed++;
+        }
+      }
+
+      console.log(`🧹 Invalidated ${removed} cached queries for ${articleIds.length} articles`);
+      return removed;
+    } catch (error) {
+      console.error('❌ Error invalidating cached queries:', error);
+      return 0;
+    }
+  }
+
+  // Drop every cached query result, e.g. after new articles were stored
+  // that cached results could not have found
+  async clearQueries() {
+    try {
+      if (!this.isConnected) {
+        return 0;
+      }
+
+      let removed = 0;
+      for await (const key of this.client.scanIterator({ MATCH: 'query:*', COUNT: 100 })) {
+        removed += await this.client.del(key);
+      }
+      console.log(`🧹 Cleared ${removed} cached queries`);
+      return removed;
+    } catch (error) {
+      console.error('❌ Error clearing cached queries:', error);
+      return 0;
+    }
+  }
+
+  // News briefings, cached per set of request parameters
+  async cacheBriefing(briefingKey, briefing, ttl = 1800) {
+    try {
+      if (!this.isConnected) {
+        return;
+      }
+
+      await this.client.setEx(`briefing:${briefingKey}`, ttl, JSON.stringify(briefing));
+    } catch (error) {
+      console.error('❌ Error caching briefing:', error);
+    }
+  }
+
+  async getCachedBriefing(briefingKey) {
+    try {
+      if (!this.isConnected) {
+        return null;
+      }
+
+      const cached = await this.client.get(`briefing:${briefingKey}`);
+      return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+      console.error('❌ Error getting cached briefing:', error);
+      return null;
+    }
+  }
+
+  // Drop every cached briefing, e.g. after new articles were stored
+  async clearBriefings() {
+    try {
+      if (!this.isConnected) {
+        return 0;
+      }
+
+      let removed = 0;
+      for await (const key of this.client.scanIterator({ MATCH: 'briefing:*', COUNT: 100 })) {
+        removed += await this.client.del(key);
+      }
+      return removed;
+    } catch (error) {
+      console.error('❌ Error clearing cached briefings:', error);
+      return 0;
+    }
+  }
+
+  // Topic timelines, cached per set of request parameters
+  async cacheTimeline(timelineKey, timeline, ttl = 1800) {
+    try {
+      if (!this.isConnected) {
+        return;
+      }
+
+      await this.client.setEx(`timeline:${timelineKey}`, ttl, JSON.stringify(timeline));
+    } catch (error) {
+      console.error('❌ Error caching timeline:', error);
+    }
+  }
+
+  async getCachedTimeline(timelineKey) {
+    try {
+      if (!this.isConnected) {
+        return null;
+      }
+
+      const cached = await this.client.get(`timeline:${timelineKey}`);
+      return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+      console.error('❌ Error getting cached timeline:', error);
+      return null;
+    }
+  }
+
+  // Drop every cached timeline, e.g. after new articles were stored
+  async clearTimelines() {
+    try {
+      if (!this.isConnected) {
+        return 0;
+      }
+
+      let removed = 0;
+      for await (const key of this.client.scanIterator({ MATCH: 'timeline:*', COUNT: 100 })) {
+        removed += await this.client.del(key);
+      }
+      return removed;
+    } catch (error) {
+      console.error('❌ Error clearing cached timelines:', error);
+      return 0;
+    }
+  }
+
+  // Feed polling state (validators and seen GUIDs), kept without expiry
+  async getFeedState(feedKey) {
+    try {
+      if (!this.isConnected) {
+        return null;
+      }
+
+      const state = await this.client.get(`feed:${feedKey}`);
+      return state ? JSON.parse(state) : null;
+    } catch (error) {
+      console.error('❌ Error getting feed state:', error);
+      return null;
+    }
+  }
+
+  async saveFeedState(feedKey, state) {
+    try {
+      if (!this.isConnected) {
+        return;
+      }
+
+      await this.client.set(`feed:${feedKey}`, JSON.stringify(state));
+    } catch (error) {
+      console.error('❌ Error saving feed state:', error);
+    }
+  }
+
+  // Articles pinned against retention. Returns null when Redis is
+  // unavailable so callers never mistake that for "nothing pinned".
+  async getPinnedArticles() {
+    try {
+      if (!this.isConnected) {
+        return null;
+      }
+
+      return await this.client.sMembers('retention:pinned');
+    } catch (error) {
+      console.error('❌ Error getting pinned articles:', error);
+      return null;
+    }
+  }
+
+  async pinArticles(articleIds) {
+    try {
+      if (!this.isConnected) {
+        return null;
+      }
+
+      return await this.client.sAdd('retention:pinned', articleIds);
+    } catch (error) {
+      console.error('❌ Error pinning articles:', error);
+      return null;
+    }
+  }
+
+  async unpinArticles(articleIds) {
+    try {
+      if (!this.isConnected) {
+        return null;
+      }
+
+      return await this.client.sRem('retention:pinned', articleIds);
+    } catch (error) {
+      console.error('❌ Error unpinning articles:', error);
+      return null;
+    }
+  }
+
+  // Background job tracking
+  async saveJob(job, ttl = 604800) {
+    try {
+      if (!this.isConnected) {
+        console.warn('⚠️ Redis not connected, cannot save job');
+        return;
+      }
+
+      await this.client.setEx(`job:${job.id}`, ttl, JSON.stringify(job));
+    } catch (error) {
+      console.error('❌ Error saving job:', error);
+    }
+  }
+
+  async getJob(jobId) {
+    try {
+      if (!this.isConnected) {
+        return null;
+      }
+
+      const job = await this.client.get(`job:${jobId}`);
+      return job ? JSON.parse(job) : null;
+    } catch (error) {
+      console.error('❌ Error getting job:', error);
+      return null;
+    }
+  }
+
+  async addJobToHistory(type, jobId, maxEntries = 100) {
+    try {
+      if (!this.isConnected) {
+        return;
+      }
+
+      await this.client.lPush(`jobs:${type}`, jobId);
+      await this.client.lTrim(`jobs:${type}`, 0, maxEntries - 1);
+    } catch (error) {
+      console.error('❌ Error adding job to history:', error);
+    }
+  }
+
+  // Most recent jobs first; expired job records are skipped
+  async getJobHistory(type, limit = 20) {
+    try {
+      if (!this.isConnected) {
+        return [];
+      }
+
+      const jobIds = await this.client.lRange(`jobs:${type}`, 0, limit - 1);
+      const jobs = await Promise.all(jobIds.map(jobId => this.getJob(jobId)));
+      return jobs.filter(Boolean);
+    } catch (error) {
+      console.error('❌ Error getting job history:', error);
+      return [];
+    }
+  }
+
   // Performance monitoring
   async getCacheStats() {
     try {
@@ -0,0 +1,61 @@
+const { getRerankConfig } = require('../config/rerank.config');
+const TransformersRerankProvider = require('../providers/rerank/transformers.provider');
+const OverlapRerankProvider = require('../providers/rerank/overlap.provider');
+
+const PROVIDERS = {
+  transformers: (config) => new TransformersRerankProvider(config.transformers),
+  overlap: () => new OverlapRerankProvider()
+};
+
+// Facade over the optional reranking provider (RERANK_PROVIDER env var,
+// `none` by default). Every provider implements `load()` and
+// `score(query, documents)` resolving to one 0-1 relevance score per document.
+class RerankService {
+  constructor() {
+    this.provider = null;
+    this.config = null;
+  }
+
+  getConfig() {
+    if (!this.config) {
+      this.config = getRerankConfig();
+    }
+    return this.config;
+  }
+
+  isEnabled() {
+    return this.getConfig().provider !== 'none';
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      const config = this.getConfig();
+      const create = PROVIDERS[config.provider];
+      if (!create) {
+        throw new Error(`Unknown RERANK_PROVIDER "${config.provider}" (expected one of: none, ${Object.keys(PROVIDERS).join(', ')})`);
+      }
+      this.provider = create(config);
+      console.log(`🎯 Using rerank provider: ${this.provider.name} (${this.provider.model})`);
+    }
+    return this.provider;
+  }
+
+  async load() {
+    return await this.getProvider().load();
+  }
+
+  async score(query, documents) {
+    if (documents.length === 0) return [];
+    return await this.getProvider().score(query, documents);
+  }
+
+  describe() {
+    const { provider, topN, minScore } = this.getConfig();
+    if (provider === 'none') {
+      return { provider: 'none' };
+    }
+    return { provider, model: this.getProvider().model, topN, minScore };
+  }
+}
+
+module.exports = new RerankService();
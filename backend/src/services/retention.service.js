@@ -0,0 +1,252 @@
+const redisService = require('./redis.service');
+const ingestService = require('./ingest.service');
+const embeddingService = require('./embedding.service');
+const keywordIndex = require('./keyword.service');
+const entityService = require('./entity.service');
+const jobService = require('./job.service');
+const { createChromaClient, COLLECTION_NAME } = require('../config/chroma.config');
+
+// ---------- CONFIG ----------
+const RETENTION_DAYS = parseFloat(process.env.RETENTION_DAYS) || 0; // 0 disables scheduled expiry
+const RETENTION_MODE = process.env.RETENTION_MODE === 'archive' ? 'archive' : 'delete';
+const RETENTION_INTERVAL_HOURS = parseFloat(process.env.RETENTION_INTERVAL_HOURS) || 24;
+// Retry delay for the startup pass while an ingestion is running
+const STARTUP_RETRY_MS = 60 * 1000;
+const ARCHIVE_COLLECTION_NAME = process.env.ARCHIVE_COLLECTION_NAME || `${COLLECTION_NAME}_archive`;
+const SCAN_PAGE_SIZE = 500;
+const DELETE_BATCH_SIZE = 500;
+const REPORT_ITEM_LIMIT = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RETENTION_MODES = ['delete', 'archive'];
+
+const retentionError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Removes articles whose `date` metadata is older than a maximum age, either
+// deleting their chunks or moving them to an archive collection. Pinned
+// articles and articles without a date are always kept.
+class RetentionService {
+  constructor() {
+    this.timer = null;
+    this.startupRun = null;
+    this.chromaClient = null;
+  }
+
+  getConfig() {
+    return {
+      maxAgeDays: RETENTION_DAYS,
+      mode: RETENTION_MODE,
+      intervalHours: RETENTION_INTERVAL_HOURS,
+      archiveCollection: ARCHIVE_COLLECTION_NAME
+    };
+  }
+
+  start() {
+    if (RETENTION_DAYS <= 0) {
+      console.log('⏸️ Article retention disabled (RETENTION_DAYS not set)');
+      return;
+    }
+
+    const run = () => this.trigger().catch(error => console.error('❌ Retention error:', error));
+    this.timer = setInterval(run, RETENTION_INTERVAL_HOURS * 60 * 60 * 1000);
+    console.log(`⏰ Expiring articles older than ${RETENTION_DAYS} days every ${RETENTION_INTERVAL_HOURS} hours (${RETENTION_MODE})`);
+
+    // One pass now rather than a full interval after startup, retried while
+    // an ingestion holds the collection
+    const runAtStartup = async () => {
+      this.startupRun = null;
+      try {
+        if (!await this.trigger()) {
+          this.startupRun = setTimeout(runAtStartup, STARTUP_RETRY_MS);
+        }
+      } catch (error) {
+        console.error('❌ Retention error:', error);
+      }
+    };
+    runAtStartup();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    clearTimeout(this.startupRun);
+    this.timer = null;
+    this.startupRun = null;
+  }
+
+  // Run retention as a background job. Returns null while it, or an
+  // ingestion that writes to the same collection, is already running.
+  async trigger(params = {}) {
+    const job = await jobService.startJob('retention', params, (onProgress) => this.apply({ ...params, onProgress }));
+    if (!job) {
+      const running = jobService.getActiveJobId('ingest') ? 'an ingestion' : 'a retention';
+      console.log(`⏭️ Skipping retention, ${running} job is already running`);
+    }
+    return job;
+  }
+
+  // Group every chunk in the collection by article
+  async scanArticles(collection) {
+    const articles = new Map();
+
+    for (let offset = 0; ; offset += SCAN_PAGE_SIZE) {
+      const page = await collection.get({ limit: SCAN_PAGE_SIZE, offset, include: ['metadatas'] });
+      const ids = page.ids || [];
+
+      ids.forEach((id, i) => {
+        const meta = page.metadatas?.[i] || {};
+        const articleId = meta.article_id || meta.url || id;
+
+        if (!articles.has(articleId)) {
+          articles.set(articleId, { articleId, title: null, url: null, date: null, source: null, chunkIds: [] });
+        }
+        const article = articles.get(articleId);
+        article.chunkIds.push(id);
+        article.title = article.title || meta.title || null;
+        article.url = article.url || meta.url || null;
+        article.date = article.date || meta.date || null;
+        article.source = article.source || meta.source || null;
+      });
+
+      if (ids.length < SCAN_PAGE_SIZE) break;
+    }
+
+    return [...articles.values()];
+  }
+
+  // Work out which articles have expired without changing anything
+  async buildReport({ maxAgeDays = RETENTION_DAYS, mode = RETENTION_MODE, now = Date.now() } = {}) {
+    if (!(maxAgeDays > 0)) {
+      throw retentionError('maxAgeDays must be a positive number', 'INVALID_RETENTION_REQUEST');
+    }
+    if (!RETENTION_MODES.includes(mode)) {
+      throw retentionError(`mode must be one of: ${RETENTION_MODES.join(', ')}`, 'INVALID_RETENTION_REQUEST');
+    }
+
+    const pinned = await redisService.getPinnedArticles();
+    if (!pinned) {
+      throw retentionError('Pinned articles are unavailable (Redis not connected)', 'PINS_UNAVAILABLE');
+    }
+    const pinnedIds = new Set(pinned);
+
+    const collection = await ingestService.getCollection();
+    const articles = await this.scanArticles(collection);
+    const cutoff = now - maxAgeDays * DAY_MS;
+
+    const expired = [];
+    let undated = 0;
+    let pinnedKept = 0;
+
+    for (const article of articles) {
+      const published = Date.parse(article.date);
+      if (isNaN(published)) {
+        undated++;
+      } else if (published < cutoff) {
+        if (pinnedIds.has(article.articleId)) {
+          pinnedKept++;
+        } else {
+          expired.push(article);
+        }
+      }
+    }
+
+    return {
+      collection,
+      report: {
+        mode,
+        maxAgeDays,
+        cutoff: new Date(cutoff).toISOString(),
+        articles: articles.length,
+        chunks: articles.reduce((sum, article) => sum + article.chunkIds.length, 0),
+        expired: expired.length,
+        expiredChunks: expired.reduce((sum, article) => sum + article.chunkIds.length, 0),
+        pinnedKept,
+        undated
+      },
+      expired
+    };
+  }
+
+  // Dry run: what `apply` would remove, with the oldest articles first
+  async report(options = {}) {
+    const { report, expired } = await this.buildReport(options);
+    const items = expired
+      .sort((a, b) => Date.parse(a.date) - Date.parse(b.date))
+      .slice(0, REPORT_ITEM_LIMIT)
+      .map(({ chunkIds, ...article }) => ({ ...article, chunks: chunkIds.length }));
+
+    return { dryRun: true, ...report, items, truncated: expired.length > items.length };
+  }
+
+  async getArchiveCollection() {
+    if (!this.chromaClient) {
+      this.chromaClient = createChromaClient();
+    }
+
+    return await this.chromaClient.getOrCreateCollection({
+      name: ARCHIVE_COLLECTION_NAME,
+      metadata: await embeddingService.collectionMetadata()
+    });
+  }
+
+  // Copy chunks with their embeddings into the archive collection
+  async archiveChunks(collection, ids) {
+    const archive = await this.getArchiveCollection();
+    const records = await collection.get({ ids, include: ['embeddings', 'documents', 'metadatas'] });
+
+    await archive.upsert({
+      ids: records.ids,
+      embeddings: records.embeddings,
+      documents: records.documents,
+      metadatas: records.metadatas.map(meta => ({ ...meta, archived_at: new Date().toISOString() }))
+    });
+  }
+
+  // Delete (or archive, then delete) expired articles and drop cached
+  // query results that referenced them
+  async apply({ maxAgeDays, mode = RETENTION_MODE, onProgress } = {}) {
+    const { collection, report, expired } = await this.buildReport({ maxAgeDays, mode });
+    const stats = { ...report, removed: 0, removedChunks: 0, invalidatedQueries: 0 };
+    onProgress?.({ ...stats });
+
+    const articleIds = [];
+    let batch = [];
+    const flush = async () => {
+      if (batch.length === 0) return;
+      const ids = batch.flatMap(article => article.chunkIds);
+      if (mode === 'archive') {
+        await this.archiveChunks(collection, ids);
+      }
+      await collection.delete({ ids });
+      await keywordIndex.remove(ids);
+      await entityService.removeArticles(batch.map(article => article.articleId));
+
+      stats.removed += batch.length;
+      stats.removedChunks += ids.length;
+      articleIds.push(...batch.map(article => article.articleId));
+      batch = [];
+      onProgress?.({ ...stats });
+    };
+
+    for (const article of expired) {
+      batch.push(article);
+      if (batch.reduce((sum, item) => sum + item.chunkIds.length, 0) >= DELETE_BATCH_SIZE) {
+        await flush();
+      }
+    }
+    await flush();
+
+    stats.invalidatedQueries = await redisService.invalidateQueriesForArticles(articleIds);
+    await redisService.clearBriefings();
+    await redisService.clearTimelines();
+
+    const verb = mode === 'archive' ? 'Archived' : 'Deleted';
+    console.log(`🗑️ ${verb} ${stats.removed} articles (${stats.removedChunks} chunks) older than ${report.cutoff}`);
+    return stats;
+  }
+}
+
+module.exports = new RetentionService();
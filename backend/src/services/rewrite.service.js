@@ -0,0 +1,89 @@
+const llmService = require('./llm.service');
+
+// ---------- CONFIG ----------
+// llm: condense with the configured LLM, falling back to the heuristic
+// heuristic: prepend the previous question; off: search the raw message
+const QUERY_REWRITE = (process.env.QUERY_REWRITE || 'llm').toLowerCase();
+const HISTORY_MESSAGES = 4;
+const MAX_MESSAGE_LENGTH = 300;
+const MAX_QUERY_LENGTH = 300;
+
+// References that only make sense with the conversation before them
+const FOLLOW_UP_PATTERNS = [
+  /\b(he|she|him|her|his|hers|they|them|their|theirs|it|its)\b/i,
+  /\b(this|that|these|those)\b(?!\s+(morning|afternoon|evening|week|weekend|month|year)\b)/i,
+  /^(and|but|also|so|then|what about|how about|and what|why|more)\b/i,
+  /\b(after that|before that|the same|the other|the former|the latter|previous|earlier|above)\b/i
+];
+const SHORT_MESSAGE_WORDS = 4;
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length)}…` : text);
+
+// Condenses follow-up questions ("what did he say after that?") into
+// standalone search queries using the recent conversation, so retrieval and
+// the query cache work on what the user actually means.
+class RewriteService {
+  isFollowUp(message) {
+    return message.split(/\s+/).length <= SHORT_MESSAGE_WORDS
+      || FOLLOW_UP_PATTERNS.some(pattern => pattern.test(message));
+  }
+
+  heuristicRewrite(message, history) {
+    const previous = [...history].reverse().find(msg => msg.role === 'user');
+    return previous ? `${previous.content} ${message}` : message;
+  }
+
+  async llmRewrite(message, history) {
+    const conversation = history
+      .slice(-HISTORY_MESSAGES)
+      .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${truncate(msg.content, MAX_MESSAGE_LENGTH)}`)
+      .join('\n');
+
+    const prompt = `Rewrite the user's latest message as a standalone news search query, using the conversation for context.
+
+Conversation:
+${conversation}
+
+Latest message: ${message}
+
+Instructions:
+- Replace pronouns and references ("he", "that", "the company") with the names they refer to
+- Keep any dates or time expressions
+- If the message is already standalone, repeat it unchanged
+- Reply with the query only, without quotes or explanation
+
+Standalone query:`;
+
+    const result = await llmService.generate({ prompt, query: message });
+    const rewritten = (result.text || '')
+      .split('\n')
+      .map(line => line.replace(/^standalone query:\s*/i, '').replace(/^["'“]|["'”]$/g, '').trim())
+      .find(Boolean);
+
+    if (!rewritten || rewritten.length > MAX_QUERY_LENGTH) {
+      throw new Error('LLM returned no usable query');
+    }
+    return rewritten;
+  }
+
+  // Returns { query, method } where `query` is what to search for and
+  // `method` is how it was produced (null when the message was kept as is)
+  async rewrite(message, history = []) {
+    if (QUERY_REWRITE === 'off' || !history.some(msg => msg.role === 'user') || !this.isFollowUp(message)) {
+      return { query: message, method: null };
+    }
+
+    if (QUERY_REWRITE === 'llm') {
+      try {
+        const query = await this.llmRewrite(message, history);
+        return { query, method: query === message ? null : 'llm' };
+      } catch (error) {
+        console.warn(`⚠️ Query rewrite failed, using heuristic: ${error.message}`);
+      }
+    }
+
+    return { query: this.heuristicRewrite(message, history), method: 'heuristic' };
+  }
+}
+
+module.exports = new RewriteService();
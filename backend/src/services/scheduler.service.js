@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const redisService = require('./redis.service');
+const ingestService = require('./ingest.service');
+const jobService = require('./job.service');
+const feedService = require('./feed.service');
+
+// ---------- CONFIG ----------
+// Default interval for feeds without their own; 0 disables polling
+const POLL_INTERVAL_MINUTES = parseFloat(process.env.FEED_POLL_INTERVAL_MINUTES) || 0;
+const TICK_INTERVAL = 60 * 1000;
+const MAX_SEEN_PER_FEED = 500;
+const FIRST_POLL_DELAY = 10000;
+
+const feedKey = (feed) => crypto.createHash('sha1').update(feed).digest('hex');
+
+// Items are identified by GUID and re-fetched only when their date changes
+const itemKey = (item) => item.guid || item.url;
+
+// Keep only the most recently seen entries
+const trimSeen = (seen) => Object.fromEntries(Object.entries(seen).slice(-MAX_SEEN_PER_FEED));
+
+// Polls enabled registry feeds, each on its own interval. Each poll makes
+// conditional requests (ETag / Last-Modified), skips GUIDs seen before, and
+// ingests the rest incrementally so only new or changed articles are embedded.
+class FeedScheduler {
+  constructor() {
+    this.timer = null;
+    this.firstPoll = null;
+  }
+
+  start() {
+    if (POLL_INTERVAL_MINUTES <= 0) {
+      console.log('⏸️ Feed polling disabled (FEED_POLL_INTERVAL_MINUTES not set)');
+      return;
+    }
+
+    const tick = () => this.tick().catch(error => console.error('❌ Feed polling error:', error));
+    this.firstPoll = setTimeout(tick, FIRST_POLL_DELAY);
+    this.timer = setInterval(tick, TICK_INTERVAL);
+    console.log(`⏰ Feed polling enabled (default every ${POLL_INTERVAL_MINUTES} minutes)`);
+  }
+
+  stop() {
+    clearTimeout(this.firstPoll);
+    clearInterval(this.timer);
+    this.firstPoll = null;
+    this.timer = null;
+  }
+
+  // Enabled feeds whose interval has elapsed since their last poll
+  async dueFeeds(now = Date.now()) {
+    const due = [];
+    for (const feed of await feedService.listEnabled()) {
+      const state = await redisService.getFeedState(feedKey(feed.url));
+      const intervalMs = (feed.pollIntervalMinutes || POLL_INTERVAL_MINUTES) * 60 * 1000;
+      if (!state?.lastPolledAt || now - Date.parse(state.lastPolledAt) >= intervalMs) {
+        due.push(feed);
+      }
+    }
+    return due;
+  }
+
+  async tick() {
+    if (jobService.getBlockingJobId('ingest')) return;
+
+    const feeds = await this.dueFeeds();
+    if (feeds.length > 0) {
+      await this.trigger(feeds);
+    }
+  }
+
+  // Start a poll as an ingest job, unless an ingestion or retention is
+  // already running
+  async trigger(feeds) {
+    const params = { trigger: 'schedule', feeds: feeds.map(feed => feed.url) };
+    const job = await jobService.startJob('ingest', params, (onProgress) => this.poll({ feeds, onProgress }));
+    if (!job) {
+      console.log('⏭️ Skipping feed poll, an ingestion or retention job is already running');
+    }
+    return job;
+  }
+
+  // `feeds` are registry records or URLs; defaults to every enabled feed
+  async poll({ feeds, onProgress } = {}) {
+    feeds = feeds || await feedService.listEnabled();
+    const stats = ingestService.createStats({ feeds: feeds.length });
+    const pendingStates = [];
+    const items = [];
+    const queued = new Set();
+
+    console.log(`🔄 Polling ${feeds.length} feeds...`);
+
+    for (const feed of feeds) {
+      const feedUrl = feed.url || feed;
+      const key = feedKey(feedUrl);
+      const state = await redisService.getFeedState(key) || { feed: feedUrl, seen: {} };
+      const polledAt = new Date().toISOString();
+
+      let result;
+      try {
+        result = await ingestService.readFeed(feed, {
+          etag: state.etag,
+          lastModified: state.lastModified
+        });
+      } catch (error) {
+        stats.feedsFailed++;
+        console.warn(`⚠️ Failed to poll feed ${feedUrl}: ${error.message}`);
+        continue;
+      }
+
+      if (result.notModified) {
+        stats.feedsNotModified++;
+        pendingStates.push({ key, state: { ...state, lastPolledAt: polledAt } });
+        continue;
+      }
+
+      const seen = { ...state.seen };
+      const fresh = result.items.filter(item => seen[itemKey(item)] !== (item.date || ''));
+
+      for (const item of fresh) {
+        seen[itemKey(item)] = item.date || '';
+        if (!queued.has(item.url)) {
+          queued.add(item.url);
+          items.push(item);
+        }
+      }
+
+      pendingStates.push({
+        key,
+        fresh,
+        state: {
+          feed: feedUrl,
+          etag: result.etag,
+          lastModified: result.lastModified,
+          seen,
+          lastPolledAt: polledAt
+        }
+      });
+    }
+
+    const failedUrls = new Set();
+    const result = await ingestService.ingestItems(items, {
+      incremental: true,
+      onProgress,
+      onFailed: (item) => failedUrls.add(item.url),
+      stats
+    });
+
+    // Only remember what was seen once the articles are stored, so a failed
+    // run is retried in full on the next poll. Items whose article could not
+    // be fetched stay unseen, and their feed's validators are dropped so the
+    // next poll reads it in full and tries them again.
+    for (const { key, fresh = [], state } of pendingStates) {
+      const failed = fresh.filter(item => failedUrls.has(item.url));
+      const seen = { ...state.seen };
+      for (const item of failed) {
+        delete seen[itemKey(item)];
+      }
+
+      await redisService.saveFeedState(key, {
+        ...state,
+        ...(failed.length > 0 && { etag: null, lastModified: null }),
+        seen: trimSeen(seen)
+      });
+    }
+
+    return result;
+  }
+}
+
+module.exports = new FeedScheduler();
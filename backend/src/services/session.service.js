@@ -1,12 +1,39 @@
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const redisService = require('./redis.service');
 
+// Longest session title derived from the first question
+const MAX_TITLE_LENGTH = 60;
+
+// Title from the first question: whitespace collapsed and cut at a word
+// boundary, the same rule the frontend applies to local conversations
+// (frontend/src/services/conversationStore.js)
+const titleFromQuestion = (question) => {
+  const text = question.replace(/\s+/g, ' ').trim();
+  if (text.length <= MAX_TITLE_LENGTH) return text;
+
+  const cut = text.slice(0, MAX_TITLE_LENGTH);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > MAX_TITLE_LENGTH / 2 ? cut.slice(0, lastSpace) : cut}…`;
+};
+
+const hashKey = (sessionKey) => crypto.createHash('sha256').update(sessionKey).digest('hex');
+
+const keyMatches = (sessionKey, keyHash) => typeof sessionKey === 'string'
+  && crypto.timingSafeEqual(Buffer.from(hashKey(sessionKey)), Buffer.from(keyHash));
+
 class SessionService {
   // Generate new session ID
   generateSessionId() {
     return uuidv4();
   }
 
+  // Secret proving an anonymous caller started the session; only its hash
+  // is stored
+  generateSessionKey() {
+    return crypto.randomBytes(24).toString('base64url');
+  }
+
   // Get session history
   async getHistory(sessionId) {
     if (!sessionId) {
@@ -39,6 +66,25 @@ class SessionService {
     return await redisService.clearSession(sessionId);
   }
 
+  // Chat filters that scope every question in the session
+  async getFilters(sessionId) {
+    return await redisService.getSessionFilters(sessionId);
+  }
+
+  async saveFilters(sessionId, filters) {
+    await redisService.saveSessionFilters(sessionId, filters);
+  }
+
+  // Filters for this request: explicit `filters` replace the saved ones (null
+  // clears them); when omitted the session keeps its previous scope
+  async resolveFilters(sessionId, filters) {
+    if (filters === undefined) {
+      return await this.getFilters(sessionId);
+    }
+    await this.saveFilters(sessionId, filters);
+    return filters;
+  }
+
   // Get session context for RAG (last N messages)
   async getContextForRAG(sessionId, maxMessages = 5) {
     const history = await this.getHistory(sessionId);
@@ -73,6 +119,63 @@ class SessionService {
     };
   }
 
+  // A session belongs to the signed-in user who used it, or else to whoever
+  // holds the session key issued when it was started. A session id nobody
+  // has used yet is free; one with history but neither (started before
+  // ownership was recorded) is closed. Throws when ownership cannot be
+  // looked up.
+  async canAccess(sessionId, { user = null, sessionKey = null } = {}) {
+    const { ownerId, keyHash, exists } = await redisService.getSessionBinding(sessionId);
+    if (ownerId) return ownerId === user?.id;
+    if (keyHash) return keyMatches(sessionKey, keyHash);
+    return !exists;
+  }
+
+  // Records who may use the session, after canAccess allowed the caller, and
+  // refreshes that record's TTL. A signed-in user becomes the owner (claiming
+  // an anonymous session whose key they hold) and the session moves to the
+  // top of their list. An anonymous caller keeps their key, or is issued one.
+  // Returns the session key the client must send from now on (null for
+  // owned sessions).
+  async bind(sessionId, { user = null, sessionKey = null } = {}) {
+    if (user) {
+      await redisService.setSessionOwner(sessionId, user.id);
+      return null;
+    }
+    const key = sessionKey || this.generateSessionKey();
+    await redisService.setSessionKey(sessionId, hashKey(key));
+    return key;
+  }
+
+  // A user's sessions, most recently active first, titled by their first
+  // question. Sessions whose history has expired are dropped from the list.
+  async listForUser(userId, limit = 50) {
+    const sessionIds = await redisService.getUserSessionIds(userId);
+    const sessions = [];
+    const expired = [];
+
+    for (const sessionId of sessionIds) {
+      if (sessions.length >= limit) break;
+
+      const history = await this.getHistory(sessionId);
+      if (history.length === 0) {
+        expired.push(sessionId);
+        continue;
+      }
+      const firstQuestion = history.find(msg => msg.role === 'user')?.content || '';
+      sessions.push({
+        sessionId,
+        title: titleFromQuestion(firstQuestion),
+        messageCount: history.filter(msg => msg.role === 'user').length,
+        startTime: history[0].timestamp,
+        lastActivity: history[history.length - 1].timestamp
+      });
+    }
+
+    await redisService.removeUserSessions(userId, expired);
+    return sessions;
+  }
+
   // Validate session exists
   async sessionExists(sessionId) {
     const history = await this.getHistory(sessionId);
@@ -1,33 +1,153 @@
 // services/socket.service.js
 const { Server } = require("socket.io");
 const Actions = require("../utils/actions");
+const chatbotService = require("./chatbot.service");
+const sessionService = require("./session.service");
+const { validateFilters } = require("../utils/chatFilters");
+const { userFromHeaders } = require("../middleware/auth.middleware");
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Handle a single chat message, streaming the answer back to the socket.
+// Every event carries the client's requestId so replies can be matched up.
+// Any failure, including a malformed payload, is answered with CHAT_ERROR.
+const handleChatMessage = async (socket, payload) => {
+  const requestId = isObject(payload) ? payload.requestId : undefined;
+  let sessionId = null;
+  const emitError = (error, code, details) => socket.emit(Actions.CHAT_ERROR, {
+    requestId,
+    sessionId,
+    error,
+    code,
+    details
+  });
+
+  try {
+    if (!isObject(payload)) {
+      return emitError('Message payload must be an object', 'INVALID_PAYLOAD');
+    }
+
+    const { message, sessionKey = null } = payload;
+    if (payload.sessionId != null && (typeof payload.sessionId !== 'string' || !payload.sessionId.trim())) {
+      return emitError('sessionId must be a non-empty string', 'INVALID_SESSION_ID');
+    }
+    if (sessionKey !== null && typeof sessionKey !== 'string') {
+      return emitError('sessionKey must be a string', 'INVALID_SESSION_KEY');
+    }
+    sessionId = payload.sessionId || sessionService.generateSessionId();
+
+    if (typeof message !== 'string' || !message.trim()) {
+      return emitError('Message is required', 'MISSING_MESSAGE');
+    }
+
+    // Same `filters` semantics as POST /api/chat
+    const { filters, error: filtersError } = validateFilters(payload.filters);
+    if (filtersError) {
+      return emitError(filtersError, 'INVALID_FILTERS');
+    }
+
+    // Same session ownership rules as the HTTP API, denying access when the
+    // owner cannot be looked up
+    let allowed = false;
+    try {
+      allowed = await sessionService.canAccess(sessionId, { user: socket.data.user, sessionKey });
+    } catch (error) {
+      console.error('❌ [socket] Session access check failed:', error.message);
+      return emitError('Cannot verify access to this session right now', 'SESSION_CHECK_UNAVAILABLE');
+    }
+    if (!allowed) {
+      return emitError('This session belongs to another user', 'SESSION_FORBIDDEN');
+    }
+
+    console.log(`💬 [socket] Processing message for session: ${sessionId.slice(0, 8)}...`);
+
+    // Get conversation history for context
+    const conversationHistory = await sessionService.getContextForRAG(sessionId, 5);
+    const activeFilters = await sessionService.resolveFilters(sessionId, filters);
+    const issuedKey = await sessionService.bind(sessionId, { user: socket.data.user, sessionKey });
+
+    // Add user message to session
+    await sessionService.addMessage(sessionId, 'user', message.trim());
+
+    const response = await chatbotService.processQuery(message.trim(), conversationHistory, {
+      filters: activeFilters,
+      onSources: (sources) => socket.emit(Actions.CHAT_SOURCES, { requestId, sessionId, sources }),
+      onChunk: (text) => socket.emit(Actions.CHAT_CHUNK, { requestId, sessionId, text })
+    });
+
+    // Add assistant response to session
+    await sessionService.addMessage(sessionId, 'assistant', response.content, {
+      sources: response.sources,
+      tokensUsed: response.tokensUsed,
+      grounding: response.grounding || null
+    });
+
+    socket.emit(Actions.CHAT_DONE, {
+      requestId,
+      sessionId,
+      sessionKey: issuedKey,
+      response: response.content,
+      sources: response.sources,
+      metadata: {
+        tokensUsed: response.tokensUsed,
+        timestamp: new Date().toISOString(),
+        contextLength: conversationHistory.length,
+        timeWindow: response.timeWindow || null,
+        rewrittenQuery: response.rewrittenQuery || null,
+        subQueries: response.subQueries || null,
+        language: response.language || null,
+        grounding: response.grounding || null,
+        filters: activeFilters,
+        ...(payload.debug === true && { debug: { retrieval: response.retrieval || [] } })
+      }
+    });
+
+    console.log(`✅ [socket] Response streamed for session: ${sessionId.slice(0, 8)}...`);
+  } catch (error) {
+    console.error('❌ Socket chat error:', error);
+    emitError(
+      'Failed to process message',
+      'PROCESSING_ERROR',
+      process.env.NODE_ENV === 'development' ? error.message : undefined
+    );
+  }
+};
 
 const initializeSocket = (server) => {
   const io = new Server(server, {
     cors: {
-      origin: process.env.FRONTED_URL, // frontend
+      origin: process.env.FRONTEND_URL, // frontend
       methods: ["GET", "POST"],
     },
   });
 
+  // The signed-in user, from `auth: { token }` in the handshake or an
+  // Authorization header; anonymous sockets get null, as do sockets whose
+  // user cannot be looked up
+  io.use(async (socket, next) => {
+    const { token } = socket.handshake.auth || {};
+    try {
+      socket.data.user = await userFromHeaders({
+        authorization: typeof token === 'string' && token ? `Bearer ${token}` : socket.handshake.headers.authorization
+      });
+    } catch (error) {
+      console.error('❌ [socket] Could not look up the signed-in user:', error.message);
+      socket.data.user = null;
+    }
+    next();
+  });
+
   io.on(Actions.CONNECTION, (socket) => {
-    console.log(`User connected: ${socket.id}`);
+    console.log(`🔌 User connected: ${socket.id}`);
 
-    // Example event
-    socket.on("message", (msg) => {
-      console.log("Received:", msg);
-      io.emit("message", `Server received: ${msg}`);
-    });
+    socket.on(Actions.CHAT_MESSAGE, (payload) => handleChatMessage(socket, payload));
 
-    socket.emit("message", "Welcome to the WebSocket server!");
-    socket.on('replay', (msg) => {
-      console.log("Client says:", msg);
+    socket.on(Actions.DISCONNECT, () => {
+      console.log(`🔌 User disconnected: ${socket.id}`);
     });
-    socket.emit('message', 'Hello How are hou?');
-    socket.on('replay',(msg)=>{
-        console.log("Client says:",msg);
-    })
-    socket.emit("message", "What is your name?");
-});}
+  });
+
+  return io;
+};
 
 module.exports = { initializeSocket }
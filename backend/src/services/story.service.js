@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { normalize, cosine } = require('../utils/vectors');
+
+// ---------- CONFIG ----------
+// Articles whose embeddings are at least this similar report the same story
+const STORY_SIMILARITY = parseFloat(process.env.STORY_SIMILARITY) || 0.8;
+// Share of an article's word 5-grams found in another for it to count as a
+// near-duplicate (syndicated wire copy, lightly edited reposts)
+const DUPLICATE_THRESHOLD = parseFloat(process.env.DUPLICATE_THRESHOLD) || 0.8;
+// Only articles published this close together are compared
+const STORY_WINDOW_DAYS = parseFloat(process.env.STORY_WINDOW_DAYS) || 3;
+const STORY_CANDIDATES = 10;
+const SHINGLE_SIZE = 5;
+const MIN_SHINGLES = 20; // shorter texts (boilerplate tails) are never duplicates
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Word n-grams of the lowercased text
+const shingles = (text) => {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const result = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    result.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  return result;
+};
+
+// Overlap relative to the smaller text, so a chunk can be compared with a
+// whole article
+const containment = (a, b) => {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  if (small.size < MIN_SHINGLES) return 0;
+  let shared = 0;
+  for (const shingle of small) {
+    if (large.has(shingle)) shared++;
+  }
+  return shared / small.size;
+};
+
+// A new story is named after its first article, so articles stored before
+// stories existed (no `story_id`) implicitly own the story named after them
+const storyIdFor = (articleId) => `story-${crypto.createHash('sha1').update(String(articleId)).digest('hex').slice(0, 12)}`;
+
+const storyOf = (meta) => meta.story_id || storyIdFor(meta.article_id || meta.url);
+
+// Groups articles about the same event across outlets. At ingestion each
+// article joins the story of its most similar stored or just-ingested
+// neighbour (`story_id` metadata) and is marked as a near-duplicate
+// (`duplicate_of`) when most of its text appears in one of them.
+class StoryService {
+  getConfig() {
+    return { similarity: STORY_SIMILARITY, duplicateThreshold: DUPLICATE_THRESHOLD, windowDays: STORY_WINDOW_DAYS };
+  }
+
+  // Story id of a chunk from its metadata
+  storyOf(meta) {
+    return storyOf(meta);
+  }
+
+  // Stored chunks near `vector` and published within the story window,
+  // excluding the article's own (previous) chunks
+  async storedNeighbours(collection, article) {
+    const clauses = [{ article_id: { $ne: article.id } }];
+    if (article.publishedTs !== null) {
+      clauses.push({ published_ts: { $gte: article.publishedTs - STORY_WINDOW_DAYS * DAY_SECONDS } });
+      clauses.push({ published_ts: { $lte: article.publishedTs + STORY_WINDOW_DAYS * DAY_SECONDS } });
+    }
+
+    const results = await collection.query({
+      queryEmbeddings: [article.vector],
+      nResults: STORY_CANDIDATES,
+      where: clauses.length > 1 ? { $and: clauses } : clauses[0],
+      include: ['documents', 'metadatas', 'embeddings']
+    });
+
+    return (results.ids?.[0] || []).map((id, i) => {
+      const meta = results.metadatas[0][i] || {};
+      return {
+        articleId: meta.article_id || meta.url || id,
+        storyId: storyOf(meta),
+        similarity: cosine(article.vector, results.embeddings[0][i]),
+        shingles: shingles(results.documents[0][i])
+      };
+    });
+  }
+
+  // `articles`: [{ id, text, publishedTs, embeddings }] (one embedding per
+  // chunk). Returns Map(article id -> { storyId, duplicateOf }).
+  async assignStories(collection, articles) {
+    const assigned = [];
+    const assignments = new Map();
+
+    for (const input of articles) {
+      const vector = normalize(input.embeddings[0].map((_, i) =>
+        input.embeddings.reduce((sum, embedding) => sum + embedding[i], 0)));
+      const article = { ...input, vector, shingles: shingles(input.text) };
+
+      let candidates = [];
+      try {
+        candidates = await this.storedNeighbours(collection, article);
+      } catch (error) {
+        console.warn(`⚠️ Story lookup failed for ${article.id}: ${error.message}`);
+      }
+
+      // Earlier articles of this batch are not stored yet
+      for (const other of assigned) {
+        const inWindow = article.publishedTs === null || other.publishedTs === null
+          || Math.abs(article.publishedTs - other.publishedTs) <= STORY_WINDOW_DAYS * DAY_SECONDS;
+        if (!inWindow) continue;
+        candidates.push({
+          articleId: other.id,
+          storyId: assignments.get(other.id).storyId,
+          similarity: cosine(vector, other.vector),
+          shingles: other.shingles
+        });
+      }
+
+      const duplicate = candidates
+        .map(candidate => ({ ...candidate, overlap: containment(article.shingles, candidate.shingles) }))
+        .filter(candidate => candidate.overlap >= DUPLICATE_THRESHOLD)
+        .sort((a, b) => b.overlap - a.overlap)[0];
+      const similar = candidates
+        .filter(candidate => candidate.similarity >= STORY_SIMILARITY)
+        .sort((a, b) => b.similarity - a.similarity)[0];
+      const match = duplicate || similar;
+
+      assignments.set(article.id, {
+        storyId: match ? match.storyId : storyIdFor(article.id),
+        duplicateOf: duplicate ? duplicate.articleId : null
+      });
+      assigned.push(article);
+    }
+
+    const stories = new Set([...assignments.values()].map(assignment => assignment.storyId)).size;
+    const duplicates = [...assignments.values()].filter(assignment => assignment.duplicateOf).length;
+    console.log(`🗞️ Assigned ${assignments.size} articles to ${stories} stories (${duplicates} near-duplicates)`);
+    return assignments;
+  }
+}
+
+module.exports = new StoryService();
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const redisService = require('./redis.service');
+const llmService = require('./llm.service');
+const { findArticles } = require('./chatbot.service');
+const { mergeChunks } = require('../utils/chunker');
+const { parseTimeExpression } = require('../utils/timeExpressions');
+const { applyCitations, splitSentences } = require('../utils/citations');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { publishedAt, dayOf } = require('../utils/dates');
+
+// ---------- CONFIG ----------
+const TIMELINE_CACHE_TTL = parseInt(process.env.TIMELINE_CACHE_TTL) || 1800; // 30 minutes
+// Most relevant articles placed on a timeline
+const TIMELINE_MAX_ARTICLES = parseInt(process.env.TIMELINE_MAX_ARTICLES) || 20;
+// Only the most recent days are summarized
+const TIMELINE_MAX_DAYS = parseInt(process.env.TIMELINE_MAX_DAYS) || 10;
+// Day summaries generated at the same time
+const TIMELINE_CONCURRENCY = parseInt(process.env.TIMELINE_CONCURRENCY) || 3;
+const EXCERPT_LENGTH = 800;
+
+// "How has the strike developed this week?": the articles relevant to a
+// question are ordered by publish date, grouped by UTC day, and each day is
+// summarized through the LLM layer with citations to that day's articles.
+class TimelineService {
+  getConfig() {
+    return {
+      cacheTTL: TIMELINE_CACHE_TTL,
+      maxArticles: TIMELINE_MAX_ARTICLES,
+      maxDays: TIMELINE_MAX_DAYS,
+      concurrency: TIMELINE_CONCURRENCY
+    };
+  }
+
+  // Dated, relevant articles in publish order. Near-duplicates of another
+  // retrieved article are left out.
+  async collect(query, { timeWindow, filters, limit }) {
+    const ranked = await findArticles(query, { timeWindow, filters });
+    const retrieved = new Set(ranked.map(article => article.id));
+
+    return ranked
+      .filter(article => publishedAt(article.metadata) !== null)
+      .filter(article => !retrieved.has(article.metadata.duplicate_of))
+      .slice(0, limit)
+      .sort((a, b) => publishedAt(a.metadata) - publishedAt(b.metadata))
+      .map(article => {
+        const meta = article.metadata;
+        const chunks = [...article.chunks].sort((a, b) => a.index - b.index);
+        return {
+          title: meta.title || 'Unknown',
+          source: meta.source || 'Unknown',
+          url: meta.url || null,
+          date: new Date(publishedAt(meta)).toISOString(),
+          content: mergeChunks(chunks).replace(/\s+/g, ' ').slice(0, EXCERPT_LENGTH)
+        };
+      });
+  }
+
+  async summarizeDay(query, date, documents) {
+    const context = documents.map(doc => `
+[${doc.citation}]
+Title: ${doc.title}
+Source: ${doc.source}
+URL: ${doc.url || 'N/A'}
+Content: ${doc.content}
+---`).join('').trim();
+
+    const prompt = `You are building a news timeline for the question: "${query}"
+
+News Context (articles published on ${date}):
+${context}
+
+Instructions:
+- In one to three sentences, summarize what happened on ${date} that is relevant to the question, using ONLY the provided context
+- Cite articles by their number in square brackets right after the sentence they support, e.g. [1] or [2][3]
+- Only cite numbers that appear in the context, and do not add a list of sources at the end`;
+
+    try {
+      const { text } = await llmService.generate({ prompt, query, context });
+      const { content, sources } = applyCitations(text, documents);
+      if (sources.length > 0) return { summary: content, sources };
+      console.warn(`⚠️ Timeline summary for ${date} cites no article, using the lead article`);
+    } catch (error) {
+      console.warn(`⚠️ Timeline summary failed for ${date}: ${error.message}`);
+    }
+
+    // The lead article's opening sentence, cited
+    const { content: leadContent, ...lead } = documents[0];
+    const snippet = splitSentences(leadContent)[0] || lead.title;
+    return { summary: `${snippet} [${lead.citation}]`, sources: [{ ...lead, snippet }] };
+  }
+
+  async build(query, filters, { limit }) {
+    // A time expression in the question ("this week") sets the window unless
+    // the filters already give a date range
+    const timeWindow = filters?.dateRange ? null : parseTimeExpression(query);
+    const documents = await this.collect(query, { timeWindow, filters, limit });
+
+    const byDay = new Map();
+    for (const doc of documents) {
+      const day = dayOf(Date.parse(doc.date));
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push(doc);
+    }
+    // Numbered across the whole timeline, oldest first
+    const days = [...byDay].slice(-TIMELINE_MAX_DAYS);
+    days.flatMap(([, dayDocuments]) => dayDocuments).forEach((doc, i) => {
+      doc.citation = i + 1;
+    });
+    const summaries = await mapWithConcurrency(days, TIMELINE_CONCURRENCY,
+      ([date, dayDocuments]) => this.summarizeDay(query, date, dayDocuments));
+
+    return {
+      query,
+      generatedAt: new Date().toISOString(),
+      timeWindow,
+      filters: filters || null,
+      articleCount: days.reduce((sum, [, dayDocuments]) => sum + dayDocuments.length, 0),
+      days: days.map(([date, dayDocuments], i) => ({
+        date,
+        summary: summaries[i].summary,
+        sources: summaries[i].sources,
+        articles: dayDocuments.map(({ content, ...article }) => article)
+      }))
+    };
+  }
+
+  // `filters` are validated chat filters. Cached per request for
+  // TIMELINE_CACHE_TTL seconds; `refresh` rebuilds it.
+  async getTimeline(query, filters = null, { limit = TIMELINE_MAX_ARTICLES, refresh = false } = {}) {
+    const timelineKey = crypto.createHash('md5')
+      .update(JSON.stringify({ query: query.toLowerCase(), filters, limit }))
+      .digest('hex');
+
+    if (!refresh) {
+      const cached = await redisService.getCachedTimeline(timelineKey);
+      if (cached) {
+        console.log(`📦 Timeline cache HIT (${timelineKey.slice(0, 8)})`);
+        return { ...cached, cached: true };
+      }
+    }
+
+    console.log(`🗓️ Building timeline for: "${query.substring(0, 50)}"`);
+    const timeline = await this.build(query, filters, { limit });
+    await redisService.cacheTimeline(timelineKey, timeline, TIMELINE_CACHE_TTL);
+    console.log(`✅ Timeline built: ${timeline.days.length} days from ${timeline.articleCount} articles`);
+
+    return { ...timeline, cached: false };
+  }
+}
+
+module.exports = new TimelineService();
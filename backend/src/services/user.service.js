@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const redisService = require('./redis.service');
+const { signToken, verifyToken } = require('../utils/tokens');
+
+const scrypt = promisify(crypto.scrypt);
+
+// ---------- CONFIG ----------
+// Signs login tokens; without it a random secret is used and every token
+// becomes invalid when the server restarts
+const AUTH_SECRET = process.env.AUTH_SECRET || null;
+const AUTH_TOKEN_TTL = parseInt(process.env.AUTH_TOKEN_TTL) || 7 * 24 * 60 * 60; // 7 days
+const KEY_LENGTH = 64;
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+};
+
+const checkPassword = async (password, stored) => {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+const normalizeEmail = (email) => email.trim().toLowerCase();
+
+// User accounts stored in Redis, with scrypt-hashed passwords and signed
+// login tokens (JWT, HS256) carrying the user id as `sub`
+class UserService {
+  constructor() {
+    this.secret = AUTH_SECRET;
+  }
+
+  getSecret() {
+    if (!this.secret) {
+      console.warn('⚠️ AUTH_SECRET is not set; login tokens will not survive a restart');
+      this.secret = crypto.randomBytes(32).toString('hex');
+    }
+    return this.secret;
+  }
+
+  getConfig() {
+    return { tokenTTL: AUTH_TOKEN_TTL };
+  }
+
+  // The user as returned by the API, without the password hash
+  toPublic(user) {
+    const { passwordHash, ...publicUser } = user;
+    return publicUser;
+  }
+
+  // Throws with code EMAIL_TAKEN when the email is already registered
+  async register({ email, password, name = null }) {
+    const user = {
+      id: uuidv4(),
+      email: normalizeEmail(email),
+      name: name ? name.trim() : null,
+      passwordHash: await hashPassword(password),
+      createdAt: new Date().toISOString()
+    };
+
+    if (!await redisService.createUser(user)) {
+      const error = new Error('Email is already registered');
+      error.code = 'EMAIL_TAKEN';
+      throw error;
+    }
+    console.log(`👤 Registered user ${user.id.slice(0, 8)}...`);
+    return this.toPublic(user);
+  }
+
+  // The user for a correct email and password, else null
+  async authenticate(email, password) {
+    const user = await redisService.getUserByEmail(normalizeEmail(email));
+    if (!user || !await checkPassword(password, user.passwordHash)) {
+      return null;
+    }
+    return this.toPublic(user);
+  }
+
+  issueToken(user) {
+    return signToken({ sub: user.id }, this.getSecret(), AUTH_TOKEN_TTL);
+  }
+
+  // The user a valid, unexpired token belongs to, else null
+  async userFromToken(token) {
+    const payload = verifyToken(token, this.getSecret());
+    if (!payload?.sub) return null;
+
+    const user = await redisService.getUser(payload.sub);
+    return user ? this.toPublic(user) : null;
+  }
+}
+
+// Export singleton instance
+module.exports = new UserService();
@@ -5,6 +5,13 @@ const Actions = {
     JOIN_ROOM : 'join_room',
     LEAVE_ROOM : 'leave_room',
     TYPING : 'typing',
-    STOP_TYPING : 'stop_typing'
+    STOP_TYPING : 'stop_typing',
+    // Chat protocol: client sends CHAT_MESSAGE, server answers with
+    // CHAT_SOURCES, a series of CHAT_CHUNK and finally CHAT_DONE or CHAT_ERROR
+    CHAT_MESSAGE : 'chat:message',
+    CHAT_SOURCES : 'chat:sources',
+    CHAT_CHUNK : 'chat:chunk',
+    CHAT_DONE : 'chat:done',
+    CHAT_ERROR : 'chat:error'
 }
-module.exports = Actions;
\ No newline at end of file
+module.exports = Actions;
@@ -0,0 +1,117 @@
+const cheerio = require('cheerio');
+
+// Elements that never hold article body text
+const NOISE_SELECTORS = [
+  'script', 'style', 'noscript', 'iframe', 'svg', 'form', 'button',
+  'nav', 'header', 'footer', 'aside', 'figure figcaption',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]',
+  '[aria-hidden="true"]', '.advert', '.ad', '.share', '.related', '.newsletter'
+].join(', ');
+
+// Candidate containers for the main text, most specific first
+const BODY_SELECTORS = [
+  'article',
+  '[itemprop="articleBody"]',
+  'main',
+  '[role="main"]',
+  '.article-body',
+  '.story-body',
+  '#content',
+  'body'
+];
+
+const MIN_PARAGRAPH_LENGTH = 40;
+
+const cleanText = (text) => text.replace(/\s+/g, ' ').trim();
+
+const meta = ($, names) => {
+  for (const name of names) {
+    const value = $(`meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`).attr('content');
+    if (value && value.trim()) return value.trim();
+  }
+  return null;
+};
+
+const toIsoDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const hostnameOf = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+};
+
+// Absolute canonical URL declared by the page, if any. Only accepted on the
+// host the page was fetched from, so a page cannot claim another outlet's
+// article id.
+const canonicalUrl = ($, url) => {
+  const candidate = ($('link[rel="canonical"]').attr('href') || meta($, ['og:url']) || '').trim();
+  if (!/^https?:\/\//i.test(candidate)) return null;
+
+  const host = hostnameOf(url);
+  return host && hostnameOf(candidate) === host ? candidate : null;
+};
+
+// Paragraph text of the first container that holds a meaningful amount of it
+const extractBody = ($) => {
+  for (const selector of BODY_SELECTORS) {
+    const container = $(selector).first();
+    if (!container.length) continue;
+
+    const paragraphs = container.find('p')
+      .map((_, el) => cleanText($(el).text()))
+      .get()
+      .filter(text => text.length >= MIN_PARAGRAPH_LENGTH);
+
+    if (paragraphs.length > 0) {
+      return paragraphs.join('\n\n');
+    }
+  }
+  return cleanText($('body').text());
+};
+
+// Plain text of an HTML fragment (e.g. an RSS <content:encoded> block)
+const htmlToText = (html) => {
+  if (!html) return '';
+  const $ = cheerio.load(html);
+  $(NOISE_SELECTORS).remove();
+
+  const paragraphs = $('p').map((_, el) => cleanText($(el).text())).get().filter(Boolean);
+  return paragraphs.length > 0 ? paragraphs.join('\n\n') : cleanText($.root().text());
+};
+
+// Main text and metadata of a full article page
+const extractArticle = (html, url) => {
+  const $ = cheerio.load(html);
+
+  const title = meta($, ['og:title', 'twitter:title', 'headline'])
+    || cleanText($('h1').first().text())
+    || cleanText($('title').first().text());
+
+  const date = toIsoDate(
+    meta($, ['article:published_time', 'datePublished', 'pubdate', 'date', 'dc.date'])
+    || $('time[datetime]').first().attr('datetime')
+  );
+
+  const canonical = canonicalUrl($, url);
+  // Always the fetched host; the site name only for local files
+  const source = hostnameOf(url)
+    || meta($, ['og:site_name']);
+
+  $(NOISE_SELECTORS).remove();
+
+  return {
+    url: canonical,
+    title: title || '',
+    text: extractBody($),
+    date,
+    source
+  };
+};
+
+module.exports = { extractArticle, htmlToText, hostnameOf };
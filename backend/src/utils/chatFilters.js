@@ -0,0 +1,173 @@
+const { baseLanguage } = require('./languageDetector');
+
+// Validation and Chroma translation for the optional chat `filters` object:
+//
+//   {
+//     sources:    { include: ['bbc.co.uk'], exclude: ['opinion.example.com'] },
+//     categories: { include: ['world'], exclude: ['opinion'] },
+//     languages:  ['en'],
+//     dateRange:  { from: '2026-10-01', to: '2026-10-15' }
+//   }
+//
+// Every field is optional, and a plain array is shorthand for `include`.
+
+const MAX_VALUES = 20;
+const MAX_VALUE_LENGTH = 100;
+const LANGUAGE_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
+const FILTER_FIELDS = ['sources', 'categories', 'languages', 'dateRange'];
+
+// Sources are stored as hostnames without "www.", so accept URLs or
+// hostnames and reduce them to that form
+const normalizeSource = (value) => {
+  const trimmed = value.trim().toLowerCase();
+  try {
+    const url = new URL(/^[a-z]+:\/\//.test(trimmed) ? trimmed : `https://${trimmed}`);
+    return url.hostname.replace(/^www\./, '');
+  } catch {
+    return trimmed;
+  }
+};
+
+const validateValues = (values, field, normalize = value => value.trim()) => {
+  if (!Array.isArray(values) || values.length > MAX_VALUES
+    || !values.every(value => typeof value === 'string' && value.trim() && value.length <= MAX_VALUE_LENGTH)) {
+    return { error: `${field} must be an array of at most ${MAX_VALUES} non-empty strings` };
+  }
+  return { values: [...new Set(values.map(normalize))] };
+};
+
+// `{ include, exclude }` or an array of values to include
+const validateIncludeExclude = (value, field, normalize) => {
+  const spec = Array.isArray(value) ? { include: value } : value;
+  if (!spec || typeof spec !== 'object' || Object.keys(spec).some(key => key !== 'include' && key !== 'exclude')) {
+    return { error: `${field} must be an array or an object with include/exclude arrays` };
+  }
+
+  const result = {};
+  for (const key of ['include', 'exclude']) {
+    if (spec[key] === undefined) continue;
+    const { values, error } = validateValues(spec[key], `${field}.${key}`, normalize);
+    if (error) return { error };
+    if (values.length > 0) result[key] = values;
+  }
+  return { value: Object.keys(result).length > 0 ? result : null };
+};
+
+const validateDateRange = (value) => {
+  if (!value || typeof value !== 'object' || Object.keys(value).some(key => key !== 'from' && key !== 'to')) {
+    return { error: 'dateRange must be an object with from/to dates' };
+  }
+
+  const range = {};
+  for (const key of ['from', 'to']) {
+    if (value[key] === undefined || value[key] === null) continue;
+    const time = typeof value[key] === 'string' ? Date.parse(value[key]) : NaN;
+    if (isNaN(time)) {
+      return { error: `dateRange.${key} must be an ISO date` };
+    }
+    range[key] = new Date(time).toISOString();
+  }
+
+  if (range.from && range.to && range.from >= range.to) {
+    return { error: 'dateRange.from must be before dateRange.to' };
+  }
+  return { value: Object.keys(range).length > 0 ? range : null };
+};
+
+// Returns { filters } with normalized values (null when nothing is set), or
+// { error }. Omitted filters stay undefined, so the session keeps its saved ones.
+const validateFilters = (filters) => {
+  if (filters === undefined || filters === null) return { filters };
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    return { error: 'filters must be an object' };
+  }
+
+  const unknown = Object.keys(filters).filter(key => !FILTER_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    return { error: `Unknown filters: ${unknown.join(', ')}` };
+  }
+
+  const normalized = {};
+  const checks = {
+    sources: (value) => validateIncludeExclude(value, 'sources', normalizeSource),
+    categories: (value) => validateIncludeExclude(value, 'categories', item => item.trim().toLowerCase()),
+    languages: (value) => {
+      const { values, error } = validateValues(value, 'languages');
+      if (error) return { error };
+      if (!values.every(language => LANGUAGE_PATTERN.test(language))) {
+        return { error: 'languages must be language codes like "en" or "en-US"' };
+      }
+      // Articles store base codes, so "en-US" matches "en"
+      const languages = [...new Set(values.map(baseLanguage))];
+      return { value: languages.length > 0 ? languages : null };
+    },
+    dateRange: validateDateRange
+  };
+
+  for (const field of FILTER_FIELDS) {
+    if (filters[field] === undefined || filters[field] === null) continue;
+    const { value, error } = checks[field](filters[field]);
+    if (error) return { error };
+    if (value) normalized[field] = value;
+  }
+
+  return { filters: Object.keys(normalized).length > 0 ? normalized : null };
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const listParam = (value) => (value === undefined ? undefined : String(value).split(',').map(item => item.trim()).filter(Boolean));
+
+// Filters given as GET query parameters → { filters } or { error }:
+//   category, source, language  comma-separated lists
+//   date=YYYY-MM-DD             that UTC day; or from / to (ISO dates)
+const filtersFromQuery = (query) => {
+  let dateRange;
+  if (query.date !== undefined) {
+    if (!DATE_PATTERN.test(query.date) || isNaN(Date.parse(query.date))) {
+      return { error: 'date must be a YYYY-MM-DD date' };
+    }
+    if (query.from !== undefined || query.to !== undefined) {
+      return { error: 'Use either date or from/to' };
+    }
+    const from = new Date(`${query.date}T00:00:00Z`);
+    dateRange = { from: from.toISOString(), to: new Date(from.getTime() + 24 * 60 * 60 * 1000).toISOString() };
+  } else if (query.from !== undefined || query.to !== undefined) {
+    dateRange = { from: query.from, to: query.to };
+  }
+
+  return validateFilters({
+    ...(query.source !== undefined && { sources: listParam(query.source) }),
+    ...(query.category !== undefined && { categories: listParam(query.category) }),
+    ...(query.language !== undefined && { languages: listParam(query.language) }),
+    ...(dateRange && { dateRange })
+  });
+};
+
+const toSeconds = (iso) => Math.floor(Date.parse(iso) / 1000);
+
+// Chroma `where` clauses for validated filters (combine with `$and`)
+const buildFilterClauses = (filters) => {
+  if (!filters) return [];
+
+  const clauses = [];
+  const addIncludeExclude = (spec, key) => {
+    if (spec?.include) clauses.push({ [key]: { $in: spec.include } });
+    if (spec?.exclude) clauses.push({ [key]: { $nin: spec.exclude } });
+  };
+
+  addIncludeExclude(filters.sources, 'source');
+  addIncludeExclude(filters.categories, 'category');
+  if (filters.languages) {
+    clauses.push({ language: { $in: filters.languages } });
+  }
+  if (filters.dateRange?.from) {
+    clauses.push({ published_ts: { $gte: toSeconds(filters.dateRange.from) } });
+  }
+  if (filters.dateRange?.to) {
+    clauses.push({ published_ts: { $lt: toSeconds(filters.dateRange.to) } });
+  }
+  return clauses;
+};
+
+module.exports = { validateFilters, filtersFromQuery, buildFilterClauses };
@@ -0,0 +1,138 @@
+// Paragraph/sentence-aware text chunking with overlap.
+// Mirrored by chunk_text() in scripts/ingest.py; keep the two in sync.
+
+const PARAGRAPH_BREAK = '\n\n';
+
+const splitParagraphs = (text) => text
+  .split(/\n\s*\n/)
+  .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+  .filter(Boolean);
+
+const splitSentences = (paragraph) => paragraph
+  .split(/(?<=[.!?])\s+(?=["'“‘(\[]?[A-Z0-9])/)
+  .map(sentence => sentence.trim())
+  .filter(Boolean);
+
+// Hard-wrap a single sentence longer than `size` at word boundaries
+const splitLong = (sentence, size) => {
+  const pieces = [];
+  let current = '';
+  for (const word of sentence.split(' ')) {
+    if (current && current.length + 1 + word.length > size) {
+      pieces.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+  if (current) pieces.push(current);
+  return pieces;
+};
+
+// Sentence-sized units, each remembering whether it opens a paragraph and
+// how long that paragraph is
+const toUnits = (text, size) => {
+  const units = [];
+  for (const paragraph of splitParagraphs(text)) {
+    const sentences = splitSentences(paragraph)
+      .flatMap(sentence => (sentence.length <= size ? [sentence] : splitLong(sentence, size)));
+    sentences.forEach((sentence, index) => units.push({
+      text: sentence,
+      startsParagraph: index === 0,
+      paragraphLength: paragraph.length
+    }));
+  }
+  return units;
+};
+
+const separatorBefore = (unit) => (unit.startsParagraph ? PARAGRAPH_BREAK : ' ');
+
+const joinUnits = (units) => units
+  .map((unit, index) => (index > 0 ? separatorBefore(unit) : '') + unit.text)
+  .join('');
+
+/**
+ * Split `text` into chunks of at most `size` characters, built from whole
+ * sentences. A chunk that is at least half full is closed early rather than
+ * splitting the next paragraph across chunks. Each chunk after the first
+ * starts with the trailing sentences (up to `overlap` characters) of the
+ * previous one so text at a boundary keeps its context.
+ */
+const chunkText = (text, { size = 1000, overlap = 200 } = {}) => {
+  if (!text || !text.trim()) return [];
+  if (overlap >= size) {
+    throw new Error('Chunk overlap must be smaller than chunk size');
+  }
+
+  const chunks = [];
+  let current = [];
+  let length = 0;
+
+  for (const unit of toUnits(text, size)) {
+    const added = (current.length > 0 ? separatorBefore(unit).length : 0) + unit.text.length;
+    const overflows = length + added > size;
+    const paragraphBreak = unit.startsParagraph && length >= size / 2 && length + unit.paragraphLength + 2 > size;
+
+    if (current.length > 0 && (overflows || paragraphBreak)) {
+      chunks.push(joinUnits(current));
+
+      // Carry the tail of the finished chunk into the next one
+      let carriedFrom = current.length;
+      let carriedLength = 0;
+      while (carriedFrom > 0) {
+        const candidate = current[carriedFrom - 1].text.length + 1;
+        if (carriedLength + candidate > overlap || carriedLength + candidate + added > size) break;
+        carriedLength += candidate;
+        carriedFrom--;
+      }
+
+      current = current.slice(carriedFrom);
+      length = joinUnits(current).length;
+    }
+
+    length += (current.length > 0 ? separatorBefore(unit).length : 0) + unit.text.length;
+    current.push(unit);
+  }
+
+  if (current.length > 0) {
+    chunks.push(joinUnits(current));
+  }
+  return chunks;
+};
+
+// Length of the longest whole-sentence suffix of `merged` that `text` starts with
+const overlapLength = (merged, text) => {
+  for (let length = Math.min(merged.length, text.length); length > 0; length--) {
+    const atStart = length === merged.length || /\s/.test(merged[merged.length - length - 1]);
+    const atEnd = length === text.length || /\s/.test(text[length]);
+    if (atStart && atEnd && merged.endsWith(text.slice(0, length))) {
+      return length;
+    }
+  }
+  return 0;
+};
+
+/**
+ * Rejoin chunks of one article (sorted by chunk index), dropping the text
+ * each chunk repeats from its predecessor. Gaps between non-adjacent chunks
+ * are marked with an ellipsis.
+ */
+const mergeChunks = (chunks) => {
+  let merged = '';
+  let previousIndex = null;
+
+  for (const { index, text } of chunks) {
+    if (!merged) {
+      merged = text;
+    } else if (index === previousIndex + 1) {
+      const shared = overlapLength(merged, text);
+      merged += shared > 0 ? text.slice(shared) : PARAGRAPH_BREAK + text;
+    } else {
+      merged += ` … ${text}`;
+    }
+    previousIndex = index;
+  }
+  return merged;
+};
+
+module.exports = { chunkText, mergeChunks };
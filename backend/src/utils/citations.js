@@ -0,0 +1,72 @@
+// Inline citations: context articles are numbered [1], [2], ... in the prompt,
+// the model cites them after the sentences they support, and the answer is
+// mapped back to the articles it actually cited.
+
+const MAX_SNIPPET_LENGTH = 300;
+
+// "[1]", "[1, 3]", "[2; 4]" and "[Source 2]" / "[Article 2]"; longer numbers
+// such as "[2024]" are left alone
+const MARKER_PATTERN = /\s?\[(?:(?:source|article)s?\s*)?(\d{1,2}(?:\s*[,;]\s*\d{1,2})*)\]/gi;
+
+const tokenize = (text) => (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+  .filter(word => word.length > 2);
+
+// Markers written after the full stop ("... rose. [2] The ...") stay with
+// the sentence before them
+const splitSentences = (text) => text
+  .split(/(?<=[.!?](?:\s?\[\d{1,2}\])*)\s+(?!\[\d)/)
+  .map(sentence => sentence.trim())
+  .filter(Boolean);
+
+// Text without its citation markers
+const stripCitations = (text) => text.replace(MARKER_PATTERN, '').trim();
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length).replace(/\s+\S*$/, '')}…` : text);
+
+// Sentence of `content` sharing the most words with the sentences that cite it
+const pickSnippet = (content, citingSentences) => {
+  const sentences = splitSentences(content);
+  if (sentences.length === 0) return null;
+
+  const cited = new Set(citingSentences.flatMap(tokenize));
+  const best = sentences
+    .map((sentence, index) => ({ sentence, index, score: tokenize(sentence).filter(word => cited.has(word)).length }))
+    .reduce((a, b) => (b.score > a.score ? b : a));
+  return truncate(best.sentence, MAX_SNIPPET_LENGTH);
+};
+
+// Normalizes the markers in `text` to "[1][3]" form, dropping numbers that do
+// not refer to one of `documents` ({ citation, title, source, url, content }).
+// Returns the cleaned text and the cited documents in citation order, each
+// with the snippet of the article that best matches the citing sentences.
+const applyCitations = (text, documents) => {
+  const byNumber = new Map(documents.map(doc => [doc.citation, doc]));
+  const citing = new Map(); // citation -> sentences citing it
+
+  const content = text.replace(MARKER_PATTERN, (marker, list) => {
+    const numbers = [...new Set(list.split(/[,;]/).map(value => parseInt(value.trim())))]
+      .filter(number => byNumber.has(number));
+    if (numbers.length === 0) return '';
+
+    numbers.forEach(number => citing.set(number, citing.get(number) || []));
+    return `${marker.startsWith(' ') ? ' ' : ''}${numbers.map(number => `[${number}]`).join('')}`;
+  });
+
+  // Attribute each sentence to the citations it carries
+  for (const sentence of splitSentences(content)) {
+    for (const [, number] of sentence.matchAll(/\[(\d+)\]/g)) {
+      citing.get(parseInt(number))?.push(sentence.replace(/\[\d+\]/g, ''));
+    }
+  }
+
+  const sources = [...citing.keys()]
+    .sort((a, b) => a - b)
+    .map(number => {
+      const { content: articleContent, ...doc } = byNumber.get(number);
+      return { ...doc, snippet: pickSnippet(articleContent, citing.get(number)) };
+    });
+
+  return { content, sources };
+};
+
+module.exports = { applyCitations, splitSentences, stripCitations };
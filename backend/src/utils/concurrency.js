@@ -0,0 +1,18 @@
+// Like Promise.all(items.map(fn)), but with at most `limit` calls of `fn`
+// in flight at once. Results keep the order of `items`.
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return results;
+};
+
+module.exports = { mapWithConcurrency };
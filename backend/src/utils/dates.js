@@ -0,0 +1,17 @@
+// Publish dates of stored chunks. Chunk metadata carries `published_ts`
+// (epoch seconds, for Chroma range filters) and the ISO `date` it came from.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Publish time in ms from chunk metadata, or null when undated
+const publishedAt = (meta) => {
+  if (typeof meta.published_ts === 'number') return meta.published_ts * 1000;
+  const time = Date.parse(meta.date);
+  return isNaN(time) ? null : time;
+};
+
+// UTC calendar day ("2024-03-05") of a time in ms
+const dayOf = (time) => new Date(Math.floor(time / DAY_MS) * DAY_MS).toISOString().slice(0, 10);
+
+module.exports = { HOUR_MS, DAY_MS, publishedAt, dayOf };
@@ -0,0 +1,286 @@
+// Rule-based named entity extraction for news text: runs of capitalised
+// words are collected as candidates and typed as people, organizations or
+// places from titles, name suffixes, a small gazetteer and how the text
+// refers back to them ("Joe Biden ... Biden said").
+
+const ENTITY_TYPES = ['person', 'organization', 'place'];
+// Metadata field holding each type, as a '|'-separated list (Chroma metadata
+// values are scalars)
+const ENTITY_FIELDS = { person: 'people', organization: 'organizations', place: 'places' };
+const MAX_PER_TYPE = 10;
+const MIN_SCORE = 2;
+const TITLE_BONUS = 2;
+
+const words = (list) => new Set(list.split(/\s*,\s*/).map(word => word.toLowerCase()));
+
+const PLACES = words(`Afghanistan, Albania, Algeria, Angola, Argentina, Armenia, Australia, Austria,
+  Azerbaijan, Bahrain, Bangladesh, Belarus, Belgium, Bolivia, Bosnia, Brazil, Bulgaria, Cambodia,
+  Cameroon, Canada, Chile, China, Colombia, Congo, Croatia, Cuba, Cyprus, Czech Republic, Denmark,
+  Ecuador, Egypt, Estonia, Ethiopia, Finland, France, Georgia, Germany, Ghana, Greece, Guatemala,
+  Haiti, Honduras, Hungary, Iceland, India, Indonesia, Iran, Iraq, Ireland, Israel, Italy, Jamaica,
+  Japan, Jordan, Kazakhstan, Kenya, Kosovo, Kuwait, Laos, Latvia, Lebanon, Libya, Lithuania,
+  Luxembourg, Malaysia, Mali, Mexico, Moldova, Mongolia, Morocco, Mozambique, Myanmar, Nepal,
+  Netherlands, New Zealand, Nicaragua, Niger, Nigeria, North Korea, Norway, Oman, Pakistan,
+  Palestine, Panama, Paraguay, Peru, Philippines, Poland, Portugal, Qatar, Romania, Russia, Rwanda,
+  Saudi Arabia, Senegal, Serbia, Singapore, Slovakia, Slovenia, Somalia, South Africa, South Korea,
+  South Sudan, Spain, Sri Lanka, Sudan, Sweden, Switzerland, Syria, Taiwan, Tanzania, Thailand,
+  Tunisia, Turkey, Uganda, Ukraine, United Arab Emirates, United Kingdom, United States, Uruguay,
+  Uzbekistan, Venezuela, Vietnam, Yemen, Zambia, Zimbabwe,
+  Africa, Antarctica, Arctic, Asia, Europe, Latin America, Middle East, North America, South America,
+  Gaza, West Bank, Crimea, Donbas, Kashmir, Hong Kong, Scotland, Wales, England, Northern Ireland,
+  California, Texas, Florida, New York, Washington, Chicago, Los Angeles, San Francisco, Boston,
+  London, Paris, Berlin, Madrid, Rome, Brussels, Amsterdam, Vienna, Geneva, Moscow, Kyiv, Kiev,
+  Warsaw, Istanbul, Ankara, Jerusalem, Tel Aviv, Tehran, Baghdad, Damascus, Beirut, Cairo, Riyadh,
+  Dubai, Doha, Delhi, New Delhi, Mumbai, Karachi, Islamabad, Beijing, Shanghai, Tokyo, Seoul,
+  Pyongyang, Taipei, Bangkok, Jakarta, Manila, Sydney, Melbourne, Toronto, Ottawa, Montreal,
+  Mexico City, Brasilia, Rio de Janeiro, Sao Paulo, Buenos Aires, Lagos, Nairobi, Johannesburg`);
+
+const PLACE_ALIASES = new Map([
+  ['us', 'United States'], ['usa', 'United States'], ['u.s', 'United States'], ['u.s.a', 'United States'],
+  ['uk', 'United Kingdom'], ['u.k', 'United Kingdom'], ['britain', 'United Kingdom'],
+  ['great britain', 'United Kingdom'], ['uae', 'United Arab Emirates']
+]);
+
+// Words that end organization names, or head them before "of"
+const ORG_SUFFIXES = words(`Inc, Corp, Corporation, Ltd, LLC, Plc, Group, Holdings, Company, Co, Bank,
+  University, College, School, Institute, Foundation, Association, Federation, Union, League, Party,
+  Ministry, Department, Agency, Authority, Commission, Committee, Council, Board, Bureau, Office,
+  Parliament, Congress, Senate, Court, Police, Army, Navy, Forces, Guard, Airlines, Airways, Motors,
+  Technologies, Systems, Labs, Studios, Media, Network, News, Times, Post, Journal, Fund, Reserve,
+  Exchange, Club, FC, United, Organisation, Organization, Service, Services, Energy, Pharmaceuticals`);
+
+// Titles before a name mark it as a person's ("President Joe Biden", "Mr. Musk")
+const PERSON_TITLES = words(`Mr, Mrs, Ms, Dr, Prof, Sir, Dame, Lord, Lady, President, Vice, Prime,
+  Minister, Chancellor, Premier, Senator, Sen, Representative, Rep, Governor, Gov, Mayor, Secretary,
+  King, Queen, Prince, Princess, Pope, Judge, Justice, General, Gen, Colonel, Col, Captain, Capt,
+  Chief, Executive, CEO, Chairman, Chairwoman, Chair, Director, Ambassador, Spokesman, Spokeswoman,
+  Rev, Rabbi, Imam, Sheikh, Coach`);
+
+// Capitalised words that are not (or do not start) names
+const NON_ENTITY = words(`The, A, An, In, On, At, For, From, By, To, Of, With, Without, About, And, But,
+  Or, Nor, So, Yet, If, As, When, While, After, Before, Since, Until, Although, Though, Because,
+  Despite, During, Over, Under, Into, Than, Then, There, Here, He, She, It, They, We, I, You, His,
+  Her, Its, Their, Our, My, Your, This, That, These, Those, What, Which, Who, Whom, Whose, Why, How,
+  Where, Some, Many, Most, More, Other, Others, Such, All, Both, Each, Every, No, Not, Yes,
+  Meanwhile, However, Also, According, Earlier, Later, Last, Next, Today, Tonight, Yesterday,
+  Tomorrow, Now, Still, Even, Just, Only, Monday, Tuesday, Wednesday, Thursday, Friday, Saturday,
+  Sunday, January, February, March, April, May, June, July, August, September, October, November,
+  December, Mon, Tue, Wed, Thu, Fri, Sat, Sun, Jan, Feb, Mar, Apr, Jun, Jul, Aug, Sep, Sept, Oct, Nov,
+  Dec, AM, PM, BST, GMT, UTC, EST, CET, Read, More, Watch, Listen, Photo, Image, Video, Copyright,
+  Getty, Images, Updated, Published, Share, Click, Sign, Subscribe, Advertisement`);
+
+// Nationalities and groups, which are not entities on their own ("Chinese
+// leader Xi"), though they can start one ("British Airways")
+const DEMONYMS = words(`American, British, Chinese, Russian, Ukrainian, Israeli, Palestinian, Iranian,
+  Indian, Pakistani, French, German, Italian, Spanish, Japanese, Korean, European, African, Asian,
+  Arab, Saudi, Turkish, Syrian, Iraqi, Afghan, Canadian, Mexican, Brazilian, Australian, Polish, Dutch,
+  Greek, Egyptian, Lebanese, Nigerian, Kenyan, Taiwanese, Vietnamese, Western, Democrat, Democrats,
+  Republican, Republicans, Christian, Muslim, Jewish`);
+
+// Connectors allowed inside names ("Bank of England", "Leonardo da Vinci")
+const CONNECTORS = words('of, de, del, da, di, du, van, von, der, bin, al, la, le');
+
+const SPEECH_VERBS = /^\s*(?:,\s*)?(said|says|told|added|wrote|tweeted|posted|announced|argued|warned|insisted|claimed)\b/i;
+
+const TOKEN_PATTERN = /(?:\p{Lu}\.){2,}|[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+const isCapitalised = (token) => /^\p{Lu}/u.test(token);
+const isAcronym = (name) => /^(?:\p{Lu}\.){2,}$|^\p{Lu}{2,6}$/u.test(name);
+const stripPossessive = (token) => token.replace(/['’]s$/i, '');
+
+// Lowercased, accent- and dot-free lookup key for a name
+const entityKey = (name) => (name || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/\.(?=\p{L}|$)/gu, '')
+  .replace(/[’']/g, "'")
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Canonical place name for aliases such as "U.S." or "Britain"
+const canonicalName = (name) => PLACE_ALIASES.get(entityKey(name)) || name;
+
+const formatEntityList = (names) => (names.length > 0 ? names.join('|') : null);
+const parseEntityList = (value) => (value ? String(value).split('|').filter(Boolean) : []);
+
+// { person: [...], organization: [...], place: [...] } from chunk metadata
+const entitiesFromMetadata = (meta = {}) => Object.fromEntries(
+  ENTITY_TYPES.map(type => [type, parseEntityList(meta[ENTITY_FIELDS[type]])])
+);
+
+// Metadata fields for extracted entities (null when there are none)
+const entitiesToMetadata = (entities = {}) => Object.fromEntries(
+  ENTITY_TYPES.map(type => [ENTITY_FIELDS[type], formatEntityList(entities[type] || [])])
+);
+
+// Runs of capitalised tokens (with connectors between them), each with
+// whether it opens a sentence and the text that follows it
+const capitalisedRuns = (text) => {
+  const tokens = [...text.matchAll(TOKEN_PATTERN)].map(match => ({
+    text: match[0],
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+
+  const runs = [];
+  let current = null;
+  const close = () => {
+    if (!current) return;
+    // Trailing connectors belong to the following words, not the name
+    while (current.tokens.length > 0 && !isCapitalised(current.tokens[current.tokens.length - 1].text)) {
+      current.tokens.pop();
+    }
+    if (current.tokens.length > 0) runs.push(current);
+    current = null;
+  };
+
+  tokens.forEach((token, i) => {
+    const previous = tokens[i - 1];
+    const gap = previous ? text.slice(previous.end, token.start) : '';
+    const joined = previous && /^\s*&?\s*$/.test(gap) && !/\n/.test(gap);
+    // "Mr. Biden": an abbreviated title's full stop does not end the run
+    const afterTitle = previous && /^\.\s+$/.test(gap) && PERSON_TITLES.has(previous.text.toLowerCase());
+
+    if (isCapitalised(token.text)) {
+      if (current && (joined || afterTitle)) {
+        current.tokens.push(token);
+      } else {
+        close();
+        current = {
+          tokens: [token],
+          sentenceStart: !previous || /[.!?:"“”\n]\s*$/.test(gap) || /^\s*[-–—•]/.test(gap)
+        };
+      }
+    } else if (current && joined && CONNECTORS.has(token.text.toLowerCase()) && tokens[i + 1] && isCapitalised(tokens[i + 1].text)) {
+      current.tokens.push(token);
+    } else {
+      close();
+    }
+  });
+  close();
+
+  return runs.map(run => ({ ...run, after: text.slice(run.tokens[run.tokens.length - 1].end, run.tokens[run.tokens.length - 1].end + 40) }));
+};
+
+// Names in a run. Titles mark the name after them as a person's, and one
+// inside the run starts a new name ("Apple CEO Tim Cook"); in names ending
+// like an organization ("General Motors") they are ordinary words.
+const namesIn = (run) => {
+  const tokens = run.tokens.map(token => token.text);
+  const orgName = ORG_SUFFIXES.has(tokens[tokens.length - 1].toLowerCase());
+  const isTitle = (i) => !orgName && PERSON_TITLES.has(tokens[i].toLowerCase());
+
+  const names = [];
+  let start = 0;
+  while (start < tokens.length) {
+    let first = start;
+    while (first < tokens.length && isTitle(first)) first++;
+    let end = first;
+    while (end < tokens.length && !isTitle(end)) end++;
+
+    let name = tokens.slice(first, end);
+    const leading = name.findIndex(token => !NON_ENTITY.has(token.toLowerCase()));
+    name = leading === -1 ? [] : name.slice(leading);
+    while (name.length > 0 && NON_ENTITY.has(name[name.length - 1].toLowerCase())) {
+      name = name.slice(0, -1);
+    }
+    if (name.length > 0) {
+      name[name.length - 1] = stripPossessive(name[name.length - 1]);
+      names.push({
+        name: name.join(' '),
+        tokens: name,
+        titled: first > start,
+        sentenceStart: run.sentenceStart && start === 0 && first === 0 && leading === 0
+      });
+    }
+    start = end;
+  }
+  return names;
+};
+
+const classify = (candidate, surnames) => {
+  const key = entityKey(candidate.name);
+  const lastWord = candidate.tokens[candidate.tokens.length - 1].toLowerCase();
+
+  if (PLACES.has(key) || PLACE_ALIASES.has(key)) return 'place';
+  if (DEMONYMS.has(key)) return null;
+  if (candidate.titled || candidate.speaks) return 'person';
+  if (isAcronym(candidate.name)) return 'organization';
+  // "Apple Inc", "Bank of England", "Department of Commerce"
+  const headed = candidate.tokens.some((token, i) => ORG_SUFFIXES.has(token.toLowerCase()) && CONNECTORS.has(candidate.tokens[i + 1]));
+  if (ORG_SUFFIXES.has(lastWord) || headed) return 'organization';
+  if (candidate.tokens.length > 1) {
+    // A full name the text later refers to by its last word alone
+    return candidate.tokens.length <= 3 && surnames.has(lastWord) ? 'person' : null;
+  }
+  return candidate.midSentence ? 'organization' : null;
+};
+
+// `article`: { title, text }. Returns { person, organization, place }, each
+// a list of names, most mentioned first.
+const extractEntities = ({ title = '', text = '' }) => {
+  const candidates = new Map();
+  for (const run of capitalisedRuns(text)) {
+    const names = namesIn(run);
+    for (const parsed of names) {
+      if (parsed.name.length < 2) continue;
+
+      const key = entityKey(canonicalName(parsed.name));
+      if (!candidates.has(key)) {
+        candidates.set(key, { name: canonicalName(parsed.name), tokens: parsed.tokens, count: 0, titled: false, speaks: false, midSentence: false });
+      }
+      const candidate = candidates.get(key);
+      candidate.count++;
+      candidate.titled = candidate.titled || parsed.titled;
+      candidate.speaks = candidate.speaks || (parsed === names[names.length - 1] && SPEECH_VERBS.test(run.after));
+      candidate.midSentence = candidate.midSentence || !parsed.sentenceStart;
+    }
+  }
+
+  // Single words that also close a longer name count as references to it
+  const singles = new Map([...candidates.values()]
+    .filter(candidate => candidate.tokens.length === 1)
+    .map(candidate => [candidate.tokens[0].toLowerCase(), candidate]));
+  const surnames = new Set();
+  for (const candidate of candidates.values()) {
+    if (candidate.tokens.length < 2) continue;
+    const last = candidate.tokens[candidate.tokens.length - 1].toLowerCase();
+    const reference = singles.get(last);
+    if (reference) {
+      surnames.add(last);
+      candidate.count += reference.count;
+      candidate.speaks = candidate.speaks || reference.speaks;
+      candidate.titled = candidate.titled || reference.titled;
+      reference.absorbed = true;
+    }
+  }
+
+  const titleKey = ` ${entityKey(title)} `;
+  const result = Object.fromEntries(ENTITY_TYPES.map(type => [type, []]));
+  [...candidates.values()]
+    .filter(candidate => !candidate.absorbed)
+    .map(candidate => {
+      const inTitle = titleKey.includes(` ${entityKey(candidate.name)} `)
+        || (candidate.tokens.length > 1 && titleKey.includes(` ${candidate.tokens[candidate.tokens.length - 1].toLowerCase()} `));
+      return { ...candidate, type: classify(candidate, surnames), score: candidate.count + (inTitle ? TITLE_BONUS : 0) };
+    })
+    .filter(candidate => candidate.type && (candidate.score >= MIN_SCORE || candidate.titled || candidate.type === 'place'))
+    .sort((a, b) => b.score - a.score)
+    .forEach(candidate => {
+      if (result[candidate.type].length < MAX_PER_TYPE) result[candidate.type].push(candidate.name);
+    });
+
+  return result;
+};
+
+module.exports = {
+  ENTITY_TYPES,
+  ENTITY_FIELDS,
+  PLACE_ALIASES,
+  extractEntities,
+  entityKey,
+  canonicalName,
+  entitiesFromMetadata,
+  entitiesToMetadata
+};
@@ -0,0 +1,82 @@
+const { XMLParser } = require('fast-xml-parser');
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  textNodeName: '#text',
+  trimValues: true,
+  processEntities: true
+});
+
+const toArray = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+// Element text whether the parser produced a string or a { '#text' } node
+const textOf = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return String(value['#text'] ?? '').trim();
+  return String(value).trim();
+};
+
+const toIsoDate = (value) => {
+  const text = textOf(value);
+  if (!text) return null;
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// Atom entries can carry several <link> elements; prefer rel="alternate"
+const atomLink = (links) => {
+  const candidates = toArray(links);
+  const alternate = candidates.find(link => !link['@_rel'] || link['@_rel'] === 'alternate');
+  return (alternate || candidates[0])?.['@_href'] || '';
+};
+
+const parseRssItem = (item) => ({
+  guid: textOf(item.guid) || textOf(item.link),
+  url: textOf(item.link),
+  title: textOf(item.title),
+  date: toIsoDate(item.pubDate || item['dc:date']),
+  summary: textOf(item.description),
+  content: textOf(item['content:encoded'])
+});
+
+const parseAtomEntry = (entry) => ({
+  guid: textOf(entry.id) || atomLink(entry.link),
+  url: atomLink(entry.link),
+  title: textOf(entry.title),
+  date: toIsoDate(entry.published || entry.updated),
+  summary: textOf(entry.summary),
+  content: textOf(entry.content)
+});
+
+// Parse an RSS 2.0, RSS 1.0 (RDF) or Atom document into a flat item list
+const parseFeed = (xml) => {
+  const doc = parser.parse(xml);
+
+  if (doc.rss?.channel) {
+    const channel = doc.rss.channel;
+    return {
+      title: textOf(channel.title),
+      items: toArray(channel.item).map(parseRssItem)
+    };
+  }
+
+  if (doc['rdf:RDF']) {
+    const rdf = doc['rdf:RDF'];
+    return {
+      title: textOf(rdf.channel?.title),
+      items: toArray(rdf.item).map(parseRssItem)
+    };
+  }
+
+  if (doc.feed) {
+    return {
+      title: textOf(doc.feed.title),
+      items: toArray(doc.feed.entry).map(parseAtomEntry)
+    };
+  }
+
+  throw new Error('Unrecognized feed format (expected RSS or Atom)');
+};
+
+module.exports = { parseFeed };
@@ -0,0 +1,94 @@
+// Lightweight language identification for articles and chat messages.
+//
+// Text in a non-Latin script is identified by the script itself. Latin-script
+// text is scored against short lists of each language's most frequent
+// function words, which tell the common European languages apart from a
+// handful of words; too little evidence gives null rather than a guess.
+
+// Function words that are frequent in one language and rare in the others
+const STOPWORDS = {
+  en: 'the and of to is are was were in that it for with on as by at from this what who how why when which has have had will would not but be been about there their they',
+  es: 'el la los las de del que y en un una es por con para como pero más qué quién cómo cuándo dónde está son fue ha sido sobre entre también hay ya esta este',
+  fr: 'le la les de des du et est un une que qui dans pour pas sur au aux avec ce cette sont été il elle ils ont où quoi comment pourquoi quand mais ou très aussi',
+  de: 'der die das und ist nicht ein eine zu den dem des mit sich auf für von im was wer wie warum wann wurde sind hat haben auch noch über nach bei aus oder',
+  it: 'il lo la gli le di che e è un una per con non sono del della dei nel alla cosa chi come perché quando anche più ha hanno stato questo questa ma',
+  pt: 'o a os as de do da dos das que e é um uma em no na para com não por mais foi são como quem porque quando também ao pelo pela está isso este esta',
+  nl: 'de het een en van is dat niet te op zijn voor met die er aan ook als bij wat wie hoe waarom wanneer naar heeft hebben werd maar nog om dit deze'
+};
+
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words.split(' '))])
+);
+
+// Letters that only some Latin-script languages use, counted like a stopword
+const MARKERS = [
+  [/[ñ¿¡]/g, 'es'],
+  [/[ãõ]/g, 'pt'],
+  [/ß/g, 'de'],
+  [/[œ]|\b(?:c'|d'|j'|l'|qu')/g, 'fr'],
+  [/\b(?:un'|dell'|nell'|all')/g, 'it']
+];
+
+// Non-Latin scripts; the first with enough letters decides
+const SCRIPTS = [
+  { pattern: /[぀-ヿ]/g, language: 'ja' }, // kana (Japanese also uses Han)
+  { pattern: /[가-힯ᄀ-ᇿ]/g, language: 'ko' },
+  { pattern: /[一-鿿]/g, language: 'zh' },
+  { pattern: /[Ѐ-ӿ]/g, language: (text) => (/[іїєґ]/i.test(text) ? 'uk' : 'ru') },
+  { pattern: /[Ͱ-Ͽ]/g, language: 'el' },
+  { pattern: /[֐-׿]/g, language: 'he' },
+  { pattern: /[؀-ۿ]/g, language: (text) => (/[پچژگ]/.test(text) ? 'fa' : 'ar') },
+  { pattern: /[ऀ-ॿ]/g, language: 'hi' },
+  { pattern: /[฀-๿]/g, language: 'th' }
+];
+
+// Stopword hits needed, and the lead the best language needs over the next
+const MIN_HITS = 2;
+const MIN_LEAD = 1.5;
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+// ISO 639-1 code of the text's language ("en", "de", ...), or null when it
+// cannot be told with reasonable confidence
+const detectLanguage = (text) => {
+  if (typeof text !== 'string' || !text.trim()) return null;
+  const sample = text.slice(0, 5000).toLowerCase();
+
+  const letters = countMatches(sample, /\p{L}/gu);
+  if (letters === 0) return null;
+  for (const script of SCRIPTS) {
+    if (countMatches(sample, script.pattern) / letters >= 0.3) {
+      return typeof script.language === 'function' ? script.language(sample) : script.language;
+    }
+  }
+
+  const scores = Object.fromEntries(Object.keys(STOPWORD_SETS).map(language => [language, 0]));
+  for (const word of sample.match(/\p{L}+(?:['’]\p{L}+)?/gu) || []) {
+    for (const [language, words] of Object.entries(STOPWORD_SETS)) {
+      if (words.has(word)) scores[language]++;
+    }
+  }
+  for (const [pattern, language] of MARKERS) {
+    scores[language] += countMatches(sample, pattern);
+  }
+
+  const [[best, bestScore], [, secondScore]] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (bestScore < MIN_HITS || bestScore < secondScore * MIN_LEAD) return null;
+  return best;
+};
+
+// "en-US" → "en"
+const baseLanguage = (code) => (code ? String(code).split(/[-_]/)[0].toLowerCase() : null);
+
+const displayNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+// English name of a language code, for prompts ("de" → "German")
+const languageName = (code) => {
+  try {
+    return displayNames.of(code);
+  } catch {
+    return code;
+  }
+};
+
+module.exports = { detectLanguage, baseLanguage, languageName };
@@ -0,0 +1,167 @@
+// Turns time expressions in a question ("yesterday", "this week",
+// "since March", "past 3 days") into a publish-date window. Calendar
+// boundaries are computed in UTC, matching the ISO dates stored at ingestion.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+const MONTH_PATTERN = `(${MONTHS.join('|')}|${MONTHS.map(month => month.slice(0, 3)).join('|')})\\.?`;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, couple: 2, few: 3
+};
+const NUMBER_PATTERN = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+const UNIT_MS = { hour: HOUR_MS, day: DAY_MS, week: 7 * DAY_MS, month: 30 * DAY_MS };
+
+const startOfDay = (time) => {
+  const date = new Date(time);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+};
+
+// Weeks start on Monday
+const startOfWeek = (time) => {
+  const day = startOfDay(time);
+  const offset = (new Date(day).getUTCDay() + 6) % 7;
+  return day - offset * DAY_MS;
+};
+
+const startOfMonth = (year, month) => Date.UTC(year, month, 1);
+
+const monthIndex = (name) => MONTHS.findIndex(month => month.startsWith(name.toLowerCase().slice(0, 3)));
+
+// A month named without a year means its most recent occurrence
+const resolveYear = (month, year, now) => {
+  if (year) return parseInt(year);
+  const current = new Date(now);
+  return month > current.getUTCMonth() ? current.getUTCFullYear() - 1 : current.getUTCFullYear();
+};
+
+const toNumber = (value) => NUMBER_WORDS[value.toLowerCase()] ?? parseInt(value);
+
+// Each rule maps a match to [from, to); a null bound leaves that side open
+const RULES = [
+  {
+    pattern: /\b(today|this morning|this afternoon|tonight)\b/i,
+    window: (match, now) => ({ label: 'today', from: startOfDay(now), to: null })
+  },
+  {
+    pattern: /\byesterday\b/i,
+    window: (match, now) => ({ label: 'yesterday', from: startOfDay(now) - DAY_MS, to: startOfDay(now) })
+  },
+  {
+    pattern: new RegExp(`\\b(?:past|last|previous)\\s+(?:${NUMBER_PATTERN}\\s+)?(hour|day|week|month)s?\\b`, 'i'),
+    window: (match, now) => {
+      const count = match[1] ? toNumber(match[1]) : 1;
+      const unit = match[2].toLowerCase();
+      // "last week" / "last month" without a count mean the previous calendar period
+      if (!match[1] && unit === 'week' && /^last\b/i.test(match[0])) {
+        return { label: 'last week', from: startOfWeek(now) - 7 * DAY_MS, to: startOfWeek(now) };
+      }
+      if (!match[1] && unit === 'month' && /^last\b/i.test(match[0])) {
+        const date = new Date(now);
+        return {
+          label: 'last month',
+          from: startOfMonth(date.getUTCFullYear(), date.getUTCMonth() - 1),
+          to: startOfMonth(date.getUTCFullYear(), date.getUTCMonth())
+        };
+      }
+      const label = match[1] ? `past ${count} ${unit}${count === 1 ? '' : 's'}` : `past ${unit}`;
+      return { label, from: now - count * UNIT_MS[unit], to: null };
+    }
+  },
+  {
+    pattern: /\bthis week\b/i,
+    window: (match, now) => ({ label: 'this week', from: startOfWeek(now), to: null })
+  },
+  {
+    pattern: /\bthis month\b/i,
+    window: (match, now) => {
+      const date = new Date(now);
+      return { label: 'this month', from: startOfMonth(date.getUTCFullYear(), date.getUTCMonth()), to: null };
+    }
+  },
+  {
+    pattern: /\b(this|last) year\b/i,
+    window: (match, now) => {
+      const year = new Date(now).getUTCFullYear();
+      return match[1].toLowerCase() === 'this'
+        ? { label: 'this year', from: Date.UTC(year, 0, 1), to: null }
+        : { label: 'last year', from: Date.UTC(year - 1, 0, 1), to: Date.UTC(year, 0, 1) };
+    }
+  },
+  {
+    pattern: /\bsince\s+(\d{4}-\d{2}-\d{2})\b/i,
+    window: (match) => {
+      const from = Date.parse(`${match[1]}T00:00:00Z`);
+      return isNaN(from) ? null : { label: `since ${match[1]}`, from, to: null };
+    }
+  },
+  {
+    pattern: new RegExp(`\\bsince\\s+${MONTH_PATTERN}(?:\\s+(\\d{4}))?\\b`, 'i'),
+    window: (match, now) => {
+      const month = monthIndex(match[1]);
+      const year = resolveYear(month, match[2], now);
+      return { label: `since ${MONTHS[month]} ${year}`, from: startOfMonth(year, month), to: null };
+    }
+  },
+  {
+    pattern: new RegExp(`\\bsince\\s+(?:last\\s+)?(${WEEKDAYS.join('|')})\\b`, 'i'),
+    window: (match, now) => {
+      const weekday = WEEKDAYS.indexOf(match[1].toLowerCase());
+      const today = startOfDay(now);
+      const daysBack = (new Date(today).getUTCDay() - weekday + 7) % 7 || 7;
+      return { label: `since ${match[1].toLowerCase()}`, from: today - daysBack * DAY_MS, to: null };
+    }
+  },
+  {
+    pattern: new RegExp(`\\b(?:in|during)\\s+${MONTH_PATTERN}(?:\\s+(\\d{4}))?\\b`, 'i'),
+    window: (match, now) => {
+      const month = monthIndex(match[1]);
+      const year = resolveYear(month, match[2], now);
+      return { label: `${MONTHS[month]} ${year}`, from: startOfMonth(year, month), to: startOfMonth(year, month + 1) };
+    }
+  },
+  {
+    pattern: /\b(?:in|during|since)\s+((?:19|20)\d{2})\b/i,
+    window: (match) => {
+      const year = parseInt(match[1]);
+      return /^since/i.test(match[0])
+        ? { label: `since ${year}`, from: Date.UTC(year, 0, 1), to: null }
+        : { label: `${year}`, from: Date.UTC(year, 0, 1), to: Date.UTC(year + 1, 0, 1) };
+    }
+  }
+];
+
+// Open-ended windows are relative to `now`; round them to the minute so
+// repeated questions produce the same filter (and cache key)
+const roundToMinute = (time) => Math.floor(time / 60000) * 60000;
+
+// Returns { expression, label, from, to } with ISO bounds (null when open),
+// or null if the query has no recognised time expression
+const parseTimeExpression = (query, now = Date.now()) => {
+  for (const rule of RULES) {
+    const match = query.match(rule.pattern);
+    if (!match) continue;
+
+    const window = rule.window(match, now);
+    if (!window) continue;
+
+    return {
+      expression: match[0],
+      label: window.label,
+      from: window.from !== null ? new Date(roundToMinute(window.from)).toISOString() : null,
+      to: window.to !== null ? new Date(window.to).toISOString() : null
+    };
+  }
+  return null;
+};
+
+module.exports = { parseTimeExpression };
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+
+// Minimal JSON Web Tokens (HS256), enough for the backend's own login tokens
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const sign = (data, secret) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+// Token carrying `payload` plus `iat` and `exp` (seconds since the epoch)
+const signToken = (payload, secret, ttlSeconds) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify({ ...payload, iat: now, exp: now + ttlSeconds }));
+  return `${header}.${body}.${sign(`${header}.${body}`, secret)}`;
+};
+
+// The payload of a token signed with `secret` that has not expired, else null
+const verifyToken = (token, secret) => {
+  if (typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, body, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${body}`, secret));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') return null;
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+    return typeof payload.exp === 'number' && payload.exp > Date.now() / 1000 ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+module.exports = { signToken, verifyToken };
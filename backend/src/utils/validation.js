@@ -0,0 +1,14 @@
+// Shared request validation helpers
+
+// The HTTP API only accepts remote http(s) locations, never local paths
+const isHttpUrl = (value) => {
+  if (typeof value !== 'string') return false;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+module.exports = { isHttpUrl };
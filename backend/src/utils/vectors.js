@@ -0,0 +1,23 @@
+// Vector math over embeddings
+
+const normalize = (vector) => {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm ? vector.map(value => value / norm) : vector;
+};
+
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+// 0 when either vector is all zeros
+const cosine = (a, b) => {
+  let product = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    product += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? product / Math.sqrt(normA * normB) : 0;
+};
+
+module.exports = { normalize, dot, cosine };
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+// Offline checks of the LLM providers: no backend, API key or network needed.
+// The OpenAI-compatible provider is pointed at a local server that streams
+// its answer in pieces split inside multi-byte characters.
+
+const http = require('http');
+const MockProvider = require('./src/providers/llm/mock.provider');
+const OpenAICompatibleProvider = require('./src/providers/llm/openai.provider');
+
+// Colors for console output
+const colors = {
+    green: '\x1b[32m',
+    red: '\x1b[31m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    reset: '\x1b[0m'
+};
+
+const log = (color, message) => {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+};
+
+let failures = 0;
+
+function check(name, condition, details = '') {
+    if (condition) {
+        log('green', `✅ ${name}`);
+    } else {
+        failures++;
+        log('red', `❌ ${name}${details ? ` - ${details}` : ''}`);
+    }
+}
+
+const CONTEXT = `
+[1]
+Title: Rail strike
+Source: example.com
+Content: Rail workers in the north walked out on Monday. Trains were cancelled across the region.
+---
+[2]
+Title: Weather
+Source: example.org
+Content: Heavy rain is expected later this week.
+---`;
+
+async function testMockProvider() {
+    log('yellow', '1. Testing mock provider...');
+    const provider = new MockProvider({ maxSentences: 3 });
+
+    const { text, tokensUsed } = await provider.generate({
+        prompt: 'unused',
+        query: 'Why were trains cancelled in the north?',
+        context: CONTEXT
+    });
+    check('generate answers from the context with citations', text.includes('Trains were cancelled across the region. [1]'), text);
+    check('generate reports token usage', tokensUsed?.totalTokenCount > 0);
+
+    const chunks = [];
+    const streamed = await provider.generateStream({
+        prompt: 'unused',
+        query: 'Why were trains cancelled in the north?',
+        context: CONTEXT
+    }, (chunk) => chunks.push(chunk));
+    check('generateStream emits several chunks', chunks.length > 1);
+    check('generateStream chunks add up to the answer', chunks.join('') === streamed.text && streamed.text === text);
+
+    const fallback = await provider.generate({ prompt: 'unused', query: 'football results', context: CONTEXT });
+    check('generate says when the context has no answer', fallback.text.includes("doesn't contain information"), fallback.text);
+}
+
+// Serves one streamed completion, cutting the body into 5-byte writes so
+// that "é", "—" and "🚆" arrive split across chunks
+function startStreamingServer(pieces) {
+    const body = Buffer.from([
+        ...pieces.map(content => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`),
+        `data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 3, completion_tokens: 4, total_tokens: 7 } })}\n\n`,
+        'data: [DONE]'
+    ].join(''));
+
+    const server = http.createServer(async (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (let i = 0; i < body.length; i += 5) {
+            res.write(body.subarray(i, i + 5));
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        res.end();
+    });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function testOpenAIStream() {
+    log('yellow', '\n2. Testing OpenAI-compatible streaming...');
+    const pieces = ['Café strike — ', 'trains stopped 🚆 ', 'in Zürich.'];
+    const server = await startStreamingServer(pieces);
+
+    try {
+        const provider = new OpenAICompatibleProvider({
+            baseUrl: `http://127.0.0.1:${server.address().port}`,
+            apiKey: '',
+            model: 'test',
+            timeout: 5000
+        });
+
+        const chunks = [];
+        const { text, tokensUsed } = await provider.generateStream({ prompt: 'unused' }, (chunk) => chunks.push(chunk));
+        check('multi-byte characters survive chunk boundaries', text === pieces.join(''), JSON.stringify(text));
+        check('one chunk per streamed delta', chunks.length === pieces.length && chunks.every((chunk, i) => chunk === pieces[i]));
+        check('usage from the final event', tokensUsed?.totalTokenCount === 7);
+    } finally {
+        server.close();
+    }
+}
+
+async function main() {
+    log('blue', '🧪 Starting Provider Tests...\n');
+    await testMockProvider();
+    await testOpenAIStream();
+
+    if (failures > 0) {
+        log('red', `\n❌ ${failures} check(s) failed`);
+        process.exit(1);
+    }
+    log('blue', '\n🏁 Tests Complete!');
+}
+
+// Handle script execution
+if (require.main === module) {
+    main().catch(error => {
+        log('red', `❌ Test failed: ${error.message}`);
+        process.exit(1);
+    });
+}
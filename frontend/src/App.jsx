@@ -1,19 +1,89 @@
 import { useState, useEffect, useRef } from 'react';
-import { Send, Bot, User, Loader2, RefreshCw, ExternalLink, MessageSquare, Clock, Trash2 } from 'lucide-react';
+import { Send, Bot, User, Loader2, RefreshCw, ExternalLink, MessageSquare, Clock, Trash2, AlertTriangle, CalendarDays } from 'lucide-react';
 import axios from 'axios';
+import socket from './services/socketService';
+import Actions from './utils/actions';
+import CitedText from './components/CitedText';
+import TimelinePanel from './components/TimelinePanel';
+import ConversationSidebar from './components/ConversationSidebar';
+import AccountMenu from './components/AccountMenu';
+import {
+  loadConversations,
+  saveConversations,
+  loadActiveSessionId,
+  saveActiveSessionId,
+  titleFromQuestion
+} from './services/conversationStore';
+import { loadAuth, saveAuth, authHeaders } from './services/authStore';
 
 const API_BASE_URL = 'http://localhost:4000/api';
 
+// History entries in the shape the UI renders; assistant metadata holds
+// the cited sources and grounding saved with the answer
+const toChatMessage = (entry) => ({
+  id: entry.id,
+  role: entry.role,
+  content: entry.content,
+  sources: entry.metadata?.sources || [],
+  metadata: entry.role === 'assistant' ? entry.metadata : undefined,
+  timestamp: entry.timestamp
+});
+
+// The login token, if signed in, and the key proving this browser started
+// an anonymous session, sent with every request for a session
+const requestHeaders = (sessionKey = null) => ({
+  ...authHeaders(),
+  ...(sessionKey && { 'X-Session-Key': sessionKey })
+});
+
+// A session from GET /api/me/sessions as a sidebar conversation
+const fromAccountSession = (userId) => (session) => ({
+  sessionId: session.sessionId,
+  title: session.title || 'Untitled conversation',
+  createdAt: session.startTime,
+  updatedAt: session.lastActivity,
+  userId
+});
+
+const later = (a, b) => (new Date(a) > new Date(b) ? a : b);
+
+// This browser's conversations plus, when signed in, the account's from the
+// server. Local entries keep their titles (renames are stored locally) and
+// session keys; those recorded under another account, or under any account
+// once signed out, are hidden.
+const mergeConversations = (local, account, userId) => {
+  const merged = new Map(account.map(conversation => [conversation.sessionId, conversation]));
+  for (const conversation of local) {
+    if (conversation.userId && conversation.userId !== userId) continue;
+    const listed = merged.get(conversation.sessionId);
+    merged.set(conversation.sessionId, listed
+      ? { ...listed, ...conversation, updatedAt: later(listed.updatedAt, conversation.updatedAt) }
+      : conversation);
+  }
+  return [...merged.values()];
+};
+
+const withoutConversation = (id) => (conversations) =>
+  conversations.filter(conversation => conversation.sessionId !== id);
+
 const App = () => {
   const [messages, setMessages] = useState([]);
   const [inputMessage, setInputMessage] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [sessionId, setSessionId] = useState(null);
+  const [sessionKey, setSessionKey] = useState(null);
   const [error, setError] = useState(null);
   const [isTyping, setIsTyping] = useState(false);
+  const [isStreaming, setIsStreaming] = useState(false);
   const [sessionStats, setSessionStats] = useState({ messageCount: 0, startTime: null });
   const [connectionStatus, setConnectionStatus] = useState('connecting');
+  const [timelineQuery, setTimelineQuery] = useState(null);
+  const [conversations, setConversations] = useState(loadConversations);
+  const [auth, setAuth] = useState(loadAuth);
+  const [accountConversations, setAccountConversations] = useState([]);
+  const [accountRefresh, setAccountRefresh] = useState(0);
   const messagesEndRef = useRef(null);
+  const pendingRequestRef = useRef(null);
 
   // Auto-scroll to bottom when new messages arrive
   const scrollToBottom = () => {
@@ -24,12 +94,143 @@ const App = () => {
     scrollToBottom();
   }, [messages]);
 
-  // Initialize session on component mount
+  // Resume the conversation open on the last visit, or start a new one
   useEffect(() => {
-    createNewSession();
+    const lastSessionId = loadActiveSessionId();
+    const last = lastSessionId && loadConversations().find(conversation => conversation.sessionId === lastSessionId);
+    if (last) {
+      openSession(last.sessionId, { sessionKey: last.sessionKey, onFailure: createNewSession });
+    } else {
+      createNewSession();
+    }
     checkBackendConnection();
   }, []);
 
+  useEffect(() => {
+    saveConversations(conversations);
+  }, [conversations]);
+
+  useEffect(() => {
+    if (sessionId) saveActiveSessionId(sessionId);
+  }, [sessionId]);
+
+  // The signed-in account's sessions, refreshed after every answer, so
+  // conversations from other browsers are listed too
+  useEffect(() => {
+    if (!auth) {
+      setAccountConversations([]);
+      return;
+    }
+
+    const controller = new AbortController();
+    axios.get(`${API_BASE_URL}/me/sessions`, {
+      params: { limit: 100 },
+      headers: { Authorization: `Bearer ${auth.token}` },
+      signal: controller.signal
+    })
+      .then(({ data }) => setAccountConversations(data.sessions.map(fromAccountSession(auth.user.id))))
+      .catch(error => {
+        if (axios.isCancel(error)) return;
+        if (error.response?.status === 401) {
+          saveAuth(null);
+          setAuth(null);
+          socket.disconnect().connect();
+          setError('Your sign-in has expired. Please sign in again.');
+          return;
+        }
+        console.error('Failed to load account conversations:', error);
+      });
+
+    return () => controller.abort();
+  }, [auth, accountRefresh]);
+
+  // Streamed chat events from the backend, matched to the pending request
+  useEffect(() => {
+    const isPending = (requestId) => requestId === pendingRequestRef.current;
+
+    const updateAssistantMessage = (requestId, update) => {
+      setMessages(prev => {
+        if (prev.some(msg => msg.id === requestId)) {
+          return prev.map(msg => msg.id === requestId ? { ...msg, ...update(msg) } : msg);
+        }
+        const placeholder = {
+          id: requestId,
+          role: 'assistant',
+          content: '',
+          sources: [],
+          timestamp: new Date().toISOString()
+        };
+        return [...prev, { ...placeholder, ...update(placeholder) }];
+      });
+    };
+
+    const finishRequest = () => {
+      pendingRequestRef.current = null;
+      setIsTyping(false);
+      setIsStreaming(false);
+      setIsLoading(false);
+    };
+
+    const handleSources = ({ requestId, sources }) => {
+      if (!isPending(requestId)) return;
+      setIsTyping(true);
+      updateAssistantMessage(requestId, () => ({ sources: sources || [] }));
+    };
+
+    const handleChunk = ({ requestId, text }) => {
+      if (!isPending(requestId)) return;
+      setIsStreaming(true);
+      updateAssistantMessage(requestId, (msg) => ({ content: msg.content + text }));
+    };
+
+    const handleDone = ({ requestId, response, sources, metadata }) => {
+      if (!isPending(requestId)) return;
+      updateAssistantMessage(requestId, () => ({
+        content: response,
+        sources: sources || [],
+        metadata,
+        timestamp: new Date().toISOString()
+      }));
+      setSessionStats(prev => ({
+        ...prev,
+        messageCount: prev.messageCount + 1
+      }));
+      setAccountRefresh(count => count + 1);
+      finishRequest();
+    };
+
+    const handleError = ({ requestId, error: errorText }) => {
+      if (!isPending(requestId)) return;
+      console.error('Failed to process message:', errorText);
+      setError(`Failed to send message: ${errorText}`);
+      updateAssistantMessage(requestId, () => ({
+        content: 'Sorry, I encountered an error processing your message. Please try again.',
+        sources: [],
+        isError: true
+      }));
+      finishRequest();
+    };
+
+    const handleDisconnect = () => {
+      if (!pendingRequestRef.current) return;
+      handleError({ requestId: pendingRequestRef.current, error: 'Connection to server lost' });
+    };
+
+    socket.on(Actions.CHAT_SOURCES, handleSources);
+    socket.on(Actions.CHAT_CHUNK, handleChunk);
+    socket.on(Actions.CHAT_DONE, handleDone);
+    socket.on(Actions.CHAT_ERROR, handleError);
+    socket.on('disconnect', handleDisconnect);
+
+    return () => {
+      socket.off(Actions.CHAT_SOURCES, handleSources);
+      socket.off(Actions.CHAT_CHUNK, handleChunk);
+      socket.off(Actions.CHAT_DONE, handleDone);
+      socket.off(Actions.CHAT_ERROR, handleError);
+      socket.off('disconnect', handleDisconnect);
+    };
+  }, []);
+
   const checkBackendConnection = async () => {
     try {
       await axios.get(`${API_BASE_URL}/health`, { timeout: 5000 });
@@ -44,8 +245,13 @@ const App = () => {
   const createNewSession = async () => {
     try {
       setConnectionStatus('connecting');
-      const response = await axios.post(`${API_BASE_URL}/session/new`);
+      const response = await axios.post(`${API_BASE_URL}/session/new`, null, { headers: requestHeaders() });
+      pendingRequestRef.current = null;
+      setIsLoading(false);
+      setIsTyping(false);
+      setIsStreaming(false);
       setSessionId(response.data.sessionId);
+      setSessionKey(response.data.sessionKey || null);
       setMessages([]);
       setError(null);
       setSessionStats({ messageCount: 0, startTime: new Date() });
@@ -69,7 +275,117 @@ const App = () => {
     }
   };
 
-  const sendMessage = async () => {
+  // Reopen a past conversation from its server-side history; `onFailure`
+  // runs when it cannot be opened
+  const openSession = async (id, { sessionKey: key = null, onFailure } = {}) => {
+    try {
+      const { data } = await axios.get(`${API_BASE_URL}/session/${id}/history`, {
+        headers: requestHeaders(key)
+      });
+      if (data.history.length === 0) {
+        setConversations(withoutConversation(id));
+        setError('That conversation has expired and was removed from the list.');
+        onFailure?.();
+        return;
+      }
+
+      pendingRequestRef.current = null;
+      setIsLoading(false);
+      setIsTyping(false);
+      setIsStreaming(false);
+      setSessionId(id);
+      setSessionKey(key);
+      setMessages(data.history.map(toChatMessage));
+      setError(null);
+      setTimelineQuery(null);
+      setSessionStats({
+        messageCount: data.stats.messageCount,
+        startTime: data.stats.startTime ? new Date(data.stats.startTime) : null
+      });
+      setConnectionStatus('connected');
+    } catch (error) {
+      console.error('Failed to load conversation:', error);
+      if (error.response?.status === 403) {
+        setConversations(withoutConversation(id));
+        setError('That conversation belongs to another user and was removed from the list.');
+      } else {
+        setError('Failed to load the conversation. Please try again.');
+      }
+      onFailure?.();
+    }
+  };
+
+  const visibleConversations = mergeConversations(conversations, accountConversations, auth?.user.id);
+
+  const keyOf = (id) => conversations.find(conversation => conversation.sessionId === id)?.sessionKey || null;
+
+  const selectConversation = (id) => openSession(id, { sessionKey: keyOf(id) });
+
+  // Titles are kept locally, also for account conversations listed from the
+  // server
+  const renameConversation = (id, title) => {
+    setConversations(prev => prev.some(conversation => conversation.sessionId === id)
+      ? prev.map(conversation => conversation.sessionId === id ? { ...conversation, title } : conversation)
+      : [...prev, { ...visibleConversations.find(conversation => conversation.sessionId === id), title }]);
+  };
+
+  // Deletes the history on the server too; an already expired session is
+  // just dropped from the list
+  const deleteConversation = async (id) => {
+    try {
+      await axios.delete(`${API_BASE_URL}/session/${id}`, { headers: requestHeaders(keyOf(id)) });
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        console.error('Failed to delete conversation:', error);
+        setError('Failed to delete the conversation. Please try again.');
+        return;
+      }
+    }
+    setConversations(withoutConversation(id));
+    setAccountConversations(withoutConversation(id));
+    if (id === sessionId) createNewSession();
+  };
+
+  // A conversation enters the list with its first question, titled by it.
+  // Chatting while signed in moves an anonymous conversation to the account.
+  const recordConversation = (question) => {
+    const now = new Date().toISOString();
+    const userId = auth?.user.id || null;
+    setConversations(prev => prev.some(conversation => conversation.sessionId === sessionId)
+      ? prev.map(conversation => conversation.sessionId === sessionId
+        ? { ...conversation, updatedAt: now, userId: conversation.userId || userId }
+        : conversation)
+      : [...prev, { sessionId, sessionKey, userId, title: titleFromQuestion(question), createdAt: now, updatedAt: now }]);
+  };
+
+  // Signs in or registers; resolves to an error message, or null. The open
+  // conversation carries on and moves to the account with its next message.
+  const submitAccount = async (mode, { email, password, name }) => {
+    try {
+      const { data } = await axios.post(`${API_BASE_URL}/auth/${mode}`, {
+        email,
+        password,
+        ...(mode === 'register' && name.trim() && { name: name.trim() })
+      });
+      const nextAuth = { token: data.token, user: data.user };
+      saveAuth(nextAuth);
+      setAuth(nextAuth);
+      socket.disconnect().connect();
+      return null;
+    } catch (error) {
+      return error.response?.data?.error || 'Failed to sign in. Please try again.';
+    }
+  };
+
+  // The open conversation may belong to the account, so a new one starts
+  const signOut = () => {
+    saveAuth(null);
+    setAuth(null);
+    socket.disconnect().connect();
+    createNewSession();
+  };
+
+  const sendMessage = () => {
     if (!inputMessage.trim() || isLoading || !sessionId || connectionStatus !== 'connected') return;
 
     const userMessage = inputMessage.trim();
@@ -85,63 +401,17 @@ const App = () => {
       timestamp: new Date().toISOString()
     };
     setMessages(prev => [...prev, newUserMessage]);
+    recordConversation(userMessage);
 
-    try {
-      // Simulate typing effect
-      setIsTyping(true);
-      
-      const response = await axios.post(`${API_BASE_URL}/chat`, {
-        message: userMessage,
-        sessionId: sessionId
-      }, {
-        timeout: 30000 // 30 second timeout for RAG processing
-      });
-
-      setIsTyping(false);
-      
-      // Add assistant response to UI
-      const assistantMessage = {
-        id: Date.now() + 1,
-        role: 'assistant',
-        content: response.data.response,
-        sources: response.data.sources || [],
-        metadata: response.data.metadata,
-        timestamp: new Date().toISOString()
-      };
-      setMessages(prev => [...prev, assistantMessage]);
-
-      // Update session stats
-      setSessionStats(prev => ({ 
-        ...prev, 
-        messageCount: prev.messageCount + 1 
-      }));
-
-    } catch (error) {
-      console.error('Failed to send message:', error);
-      setIsTyping(false);
-      
-      let errorMessage = 'Sorry, I encountered an error processing your message. Please try again.';
-      
-      if (error.code === 'ECONNABORTED') {
-        errorMessage = 'Request timed out. The query might be too complex. Please try a simpler question.';
-      } else if (error.response?.status === 500) {
-        errorMessage = 'Server error occurred. Please try again or rephrase your question.';
-      }
-      
-      setError(`Failed to send message: ${error.message}`);
-      
-      // Add error message to UI
-      const errorMsg = {
-        id: Date.now() + 1,
-        role: 'assistant',
-        content: errorMessage,
-        isError: true,
-        timestamp: new Date().toISOString()
-      };
-      setMessages(prev => [...prev, errorMsg]);
-    } finally {
-      setIsLoading(false);
-    }
+    // The answer streams back over the socket and is rendered as it arrives
+    const requestId = `req-${Date.now()}`;
+    pendingRequestRef.current = requestId;
+    socket.emit(Actions.CHAT_MESSAGE, {
+      requestId,
+      sessionId,
+      sessionKey,
+      message: userMessage
+    });
   };
 
   const handleKeyPress = (e) => {
@@ -161,6 +431,30 @@ const App = () => {
     return duration > 0 ? `${duration}m` : '<1m';
   };
 
+  const formatTokensUsed = (tokensUsed) => {
+    if (typeof tokensUsed === 'number') return tokensUsed;
+    return tokensUsed?.totalTokenCount;
+  };
+
+  // Numbered sources the answer cites so far (while streaming, the context
+  // articles arrive first and appear once cited); unnumbered sources are
+  // listed as they are
+  const getFootnotes = (message) => {
+    const sources = message.sources || [];
+    if (!sources.some(source => source.citation)) return sources;
+    return sources.filter(source => message.content.includes(`[${source.citation}]`));
+  };
+
+  const footnoteId = (messageId) => (citation) => `cite-${messageId}-${citation}`;
+
+  // Sources in another language than the answer are labelled with their
+  // language code ("en-US" and "en" count as the same)
+  const isOtherLanguage = (sourceLanguage, answerLanguage) =>
+    Boolean(sourceLanguage && answerLanguage) && sourceLanguage.split('-')[0].toLowerCase() !== answerLanguage;
+
+  const getUnsupportedSentences = (message) =>
+    message.metadata?.grounding?.sentences?.filter(sentence => sentence.supported === false) || [];
+
   const getConnectionStatusColor = () => {
     switch (connectionStatus) {
       case 'connected': return 'text-green-600';
@@ -207,165 +501,248 @@ const App = () => {
               </div>
             </div>
           </div>
-          <button
-            onClick={clearChat}
-            disabled={connectionStatus !== 'connected'}
-            className="flex items-center space-x-2 px-3 py-2 text-sm text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            <RefreshCw className="w-4 h-4" />
-            <span>New Chat</span>
-          </button>
+          <div className="flex items-center space-x-2">
+            <AccountMenu
+              user={auth?.user}
+              onSubmit={submitAccount}
+              onSignOut={signOut}
+              disabled={isLoading}
+            />
+            <button
+              onClick={clearChat}
+              disabled={connectionStatus !== 'connected'}
+              className="flex items-center space-x-2 px-3 py-2 text-sm text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <RefreshCw className="w-4 h-4" />
+              <span>New Chat</span>
+            </button>
+          </div>
         </div>
       </div>
 
-      {/* Messages */}
-      <div className="flex-1 overflow-y-auto px-6 py-4 space-y-4">
-        {messages.length === 0 && connectionStatus === 'connected' && (
-          <div className="text-center py-12">
-            <Bot className="w-12 h-12 text-gray-400 mx-auto mb-4" />
-            <h3 className="text-lg font-medium text-gray-900 mb-2">Welcome to News Chatbot</h3>
-            <p className="text-gray-500 max-w-md mx-auto">
-              I can help you find information about recent news. Ask me anything about current events, technology, politics, or other topics.
-            </p>
-            <div className="mt-6 flex flex-wrap justify-center gap-2">
-              <button
-                onClick={() => setInputMessage("What are the latest developments in AI?")}
-                className="px-3 py-1 text-sm bg-blue-50 text-blue-700 rounded-full hover:bg-blue-100 transition-colors"
-              >
-                AI developments
-              </button>
-              <button
-                onClick={() => setInputMessage("Tell me about recent climate change news")}
-                className="px-3 py-1 text-sm bg-green-50 text-green-700 rounded-full hover:bg-green-100 transition-colors"
-              >
-                Climate news
-              </button>
+      <div className="flex-1 flex min-h-0">
+        {/* Past conversations */}
+        <ConversationSidebar
+          conversations={visibleConversations}
+          activeSessionId={sessionId}
+          onSelect={selectConversation}
+          onRename={renameConversation}
+          onDelete={deleteConversation}
+          disabled={isLoading || connectionStatus !== 'connected'}
+        />
+
+        {/* Messages */}
+        <div className="flex-1 overflow-y-auto px-6 py-4 space-y-4">
+          {messages.length === 0 && connectionStatus === 'connected' && (
+            <div className="text-center py-12">
+              <Bot className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-medium text-gray-900 mb-2">Welcome to News Chatbot</h3>
+              <p className="text-gray-500 max-w-md mx-auto">
+                I can help you find information about recent news. Ask me anything about current events, technology, politics, or other topics.
+              </p>
+              <div className="mt-6 flex flex-wrap justify-center gap-2">
+                <button
+                  onClick={() => setInputMessage("What are the latest developments in AI?")}
+                  className="px-3 py-1 text-sm bg-blue-50 text-blue-700 rounded-full hover:bg-blue-100 transition-colors"
+                >
+                  AI developments
+                </button>
+                <button
+                  onClick={() => setInputMessage("Tell me about recent climate change news")}
+                  className="px-3 py-1 text-sm bg-green-50 text-green-700 rounded-full hover:bg-green-100 transition-colors"
+                >
+                  Climate news
+                </button>
+                <button
+                  onClick={() => setInputMessage("What's happening in technology?")}
+                  className="px-3 py-1 text-sm bg-purple-50 text-purple-700 rounded-full hover:bg-purple-100 transition-colors"
+                >
+                  Tech updates
+                </button>
+              </div>
+            </div>
+          )}
+
+          {connectionStatus === 'disconnected' && (
+            <div className="text-center py-12">
+              <div className="w-12 h-12 bg-red-100 text-red-600 rounded-full flex items-center justify-center mx-auto mb-4">
+                <Bot className="w-6 h-6" />
+              </div>
+              <h3 className="text-lg font-medium text-gray-900 mb-2">Connection Error</h3>
+              <p className="text-gray-500 max-w-md mx-auto mb-4">
+                Cannot connect to the backend server. Please ensure the backend is running on port 4000.
+              </p>
               <button
-                onClick={() => setInputMessage("What's happening in technology?")}
-                className="px-3 py-1 text-sm bg-purple-50 text-purple-700 rounded-full hover:bg-purple-100 transition-colors"
+                onClick={checkBackendConnection}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
               >
-                Tech updates
+                Retry Connection
               </button>
             </div>
-          </div>
-        )}
+          )}
 
-        {connectionStatus === 'disconnected' && (
-          <div className="text-center py-12">
-            <div className="w-12 h-12 bg-red-100 text-red-600 rounded-full flex items-center justify-center mx-auto mb-4">
-              <Bot className="w-6 h-6" />
-            </div>
-            <h3 className="text-lg font-medium text-gray-900 mb-2">Connection Error</h3>
-            <p className="text-gray-500 max-w-md mx-auto mb-4">
-              Cannot connect to the backend server. Please ensure the backend is running on port 4000.
-            </p>
-            <button
-              onClick={checkBackendConnection}
-              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          {messages.map((message) => (
+            <div
+              key={message.id}
+              className={`flex ${message.role === 'user' ? 'justify-end' : 'justify-start'}`}
             >
-              Retry Connection
-            </button>
-          </div>
-        )}
+              <div className={`flex max-w-3xl ${message.role === 'user' ? 'flex-row-reverse' : 'flex-row'}`}>
+                {/* Avatar */}
+                <div className={`flex-shrink-0 ${message.role === 'user' ? 'ml-3' : 'mr-3'}`}>
+                  <div className={`w-8 h-8 rounded-full flex items-center justify-center ${
+                    message.role === 'user' 
+                      ? 'bg-blue-600 text-white' 
+                      : message.isError 
+                        ? 'bg-red-100 text-red-600'
+                        : message.isWelcome
+                          ? 'bg-green-100 text-green-600'
+                          : 'bg-gray-100 text-gray-600'
+                  }`}>
+                    {message.role === 'user' ? <User className="w-4 h-4" /> : <Bot className="w-4 h-4" />}
+                  </div>
+                </div>
 
-        {messages.map((message) => (
-          <div
-            key={message.id}
-            className={`flex ${message.role === 'user' ? 'justify-end' : 'justify-start'}`}
-          >
-            <div className={`flex max-w-3xl ${message.role === 'user' ? 'flex-row-reverse' : 'flex-row'}`}>
-              {/* Avatar */}
-              <div className={`flex-shrink-0 ${message.role === 'user' ? 'ml-3' : 'mr-3'}`}>
-                <div className={`w-8 h-8 rounded-full flex items-center justify-center ${
-                  message.role === 'user' 
-                    ? 'bg-blue-600 text-white' 
-                    : message.isError 
-                      ? 'bg-red-100 text-red-600'
+                {/* Message Content */}
+                <div className={`rounded-lg px-4 py-3 ${
+                  message.role === 'user'
+                    ? 'bg-blue-600 text-white'
+                    : message.isError
+                      ? 'bg-red-50 text-red-900 border border-red-200'
                       : message.isWelcome
-                        ? 'bg-green-100 text-green-600'
-                        : 'bg-gray-100 text-gray-600'
+                        ? 'bg-green-50 text-green-900 border border-green-200'
+                        : 'bg-white text-gray-900 shadow-sm border'
                 }`}>
-                  {message.role === 'user' ? <User className="w-4 h-4" /> : <Bot className="w-4 h-4" />}
-                </div>
-              </div>
+                  <CitedText
+                    text={message.content}
+                    sources={getFootnotes(message)}
+                    footnoteId={footnoteId(message.id)}
+                    unsupported={getUnsupportedSentences(message)}
+                  />
 
-              {/* Message Content */}
-              <div className={`rounded-lg px-4 py-3 ${
-                message.role === 'user'
-                  ? 'bg-blue-600 text-white'
-                  : message.isError
-                    ? 'bg-red-50 text-red-900 border border-red-200'
-                    : message.isWelcome
-                      ? 'bg-green-50 text-green-900 border border-green-200'
-                      : 'bg-white text-gray-900 shadow-sm border'
-              }`}>
-                <div className="whitespace-pre-wrap">{message.content}</div>
+                  {/* Grounding warning */}
+                  {getUnsupportedSentences(message).length > 0 && (
+                    <p className="mt-2 flex items-center space-x-1 text-xs text-amber-700">
+                      <AlertTriangle className="w-3 h-3" />
+                      <span>Highlighted statements could not be verified against the sources.</span>
+                    </p>
+                  )}
                 
-                {/* Sources */}
-                {message.sources && message.sources.length > 0 && (
-                  <div className="mt-3 pt-3 border-t border-gray-200">
-                    <p className="text-sm font-medium text-gray-700 mb-2">Sources:</p>
-                    <div className="space-y-1">
-                      {message.sources.map((source, index) => (
-                        <div key={index} className="text-sm">
-                          <a
-                            href={source.url}
-                            target="_blank"
-                            rel="noopener noreferrer"
-                            className="text-blue-600 hover:text-blue-800 flex items-center space-x-1 hover:underline"
+                  {/* Sources */}
+                  {getFootnotes(message).length > 0 && (
+                    <div className="mt-3 pt-3 border-t border-gray-200">
+                      <p className="text-sm font-medium text-gray-700 mb-2">Sources:</p>
+                      <div className="space-y-2">
+                        {getFootnotes(message).map((source, index) => (
+                          <div
+                            key={index}
+                            id={source.citation ? footnoteId(message.id)(source.citation) : undefined}
+                            className="text-sm"
                           >
-                            <span>{source.title} - {source.source}</span>
-                            <ExternalLink className="w-3 h-3" />
-                          </a>
-                        </div>
-                      ))}
+                            <a
+                              href={source.url}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="text-blue-600 hover:text-blue-800 flex items-center space-x-1 hover:underline"
+                            >
+                              {source.citation && <span className="font-medium">[{source.citation}]</span>}
+                              <span>{source.title} - {source.source}</span>
+                              {isOtherLanguage(source.language, message.metadata?.language) && (
+                                <span className="text-xs uppercase text-gray-500">({source.language})</span>
+                              )}
+                              <ExternalLink className="w-3 h-3" />
+                            </a>
+                            {source.snippet && (
+                              <p className="mt-0.5 text-xs text-gray-500 italic">“{source.snippet}”</p>
+                            )}
+                            {source.alsoReportedBy?.length > 0 && (
+                              <p className="mt-0.5 text-xs text-gray-500">
+                                Also reported by:{' '}
+                                {source.alsoReportedBy.map((article, articleIndex) => (
+                                  <span key={article.url || articleIndex}>
+                                    {articleIndex > 0 && ', '}
+                                    <a
+                                      href={article.url}
+                                      target="_blank"
+                                      rel="noopener noreferrer"
+                                      title={article.title}
+                                      className="text-blue-600 hover:text-blue-800 hover:underline"
+                                    >
+                                      {article.source}
+                                    </a>
+                                  </span>
+                                ))}
+                              </p>
+                            )}
+                          </div>
+                        ))}
+                      </div>
                     </div>
-                  </div>
-                )}
+                  )}
 
-                {/* Metadata */}
-                {message.metadata && (
-                  <div className="mt-2 text-xs text-gray-500">
-                    {message.metadata.tokensUsed && (
-                      <span>Tokens: {message.metadata.tokensUsed} • </span>
-                    )}
-                    {new Date(message.timestamp).toLocaleTimeString()}
-                  </div>
-                )}
+                  {/* Metadata */}
+                  {message.metadata && (
+                    <div className="mt-2 text-xs text-gray-500">
+                      {formatTokensUsed(message.metadata.tokensUsed) && (
+                        <span>Tokens: {formatTokensUsed(message.metadata.tokensUsed)} • </span>
+                      )}
+                      {new Date(message.timestamp).toLocaleTimeString()}
+                    </div>
+                  )}
 
-                {/* Timestamp for messages without metadata */}
-                {!message.metadata && (
-                  <div className={`text-xs mt-2 ${
-                    message.role === 'user' ? 'text-blue-200' : 'text-gray-500'
-                  }`}>
-                    {new Date(message.timestamp).toLocaleTimeString()}
-                  </div>
-                )}
+                  {/* Timestamp for messages without metadata */}
+                  {!message.metadata && (
+                    <div className={`text-xs mt-2 ${
+                      message.role === 'user' ? 'text-blue-200' : 'text-gray-500'
+                    }`}>
+                      {new Date(message.timestamp).toLocaleTimeString()}
+                    </div>
+                  )}
+
+                  {/* How the asked-about topic developed over time */}
+                  {message.role === 'user' && (
+                    <button
+                      onClick={() => setTimelineQuery(message.content)}
+                      className="mt-1 flex items-center space-x-1 text-xs text-blue-200 hover:text-white"
+                    >
+                      <CalendarDays className="w-3 h-3" />
+                      <span>Timeline</span>
+                    </button>
+                  )}
+                </div>
               </div>
             </div>
-          </div>
-        ))}
-
-        {/* Loading indicator */}
-        {(isLoading || isTyping) && (
-          <div className="flex justify-start">
-            <div className="flex mr-3">
-              <div className="w-8 h-8 rounded-full bg-gray-100 text-gray-600 flex items-center justify-center">
-                <Bot className="w-4 h-4" />
+          ))}
+
+          {/* Loading indicator */}
+          {(isLoading || isTyping) && !isStreaming && (
+            <div className="flex justify-start">
+              <div className="flex mr-3">
+                <div className="w-8 h-8 rounded-full bg-gray-100 text-gray-600 flex items-center justify-center">
+                  <Bot className="w-4 h-4" />
+                </div>
               </div>
-            </div>
-            <div className="bg-white rounded-lg px-4 py-3 shadow-sm border">
-              <div className="flex items-center space-x-2">
-                <Loader2 className="w-4 h-4 animate-spin text-gray-500" />
-                <span className="text-gray-500">
-                  {isTyping ? 'Generating response...' : 'Searching news articles...'}
-                </span>
+              <div className="bg-white rounded-lg px-4 py-3 shadow-sm border">
+                <div className="flex items-center space-x-2">
+                  <Loader2 className="w-4 h-4 animate-spin text-gray-500" />
+                  <span className="text-gray-500">
+                    {isTyping ? 'Generating response...' : 'Searching news articles...'}
+                  </span>
+                </div>
               </div>
             </div>
-          </div>
-        )}
+          )}
 
-        <div ref={messagesEndRef} />
+          <div ref={messagesEndRef} />
+        </div>
+
+        {/* Timeline of the selected question */}
+        {timelineQuery && (
+          <TimelinePanel
+            query={timelineQuery}
+            apiBaseUrl={API_BASE_URL}
+            onClose={() => setTimelineQuery(null)}
+          />
+        )}
       </div>
 
       {/* Error Banner */}
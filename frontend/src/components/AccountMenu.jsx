@@ -0,0 +1,123 @@
+import { useState } from 'react';
+import { LogIn, LogOut, UserCircle, X } from 'lucide-react';
+
+// Sign-in / register form behind a header button, or the signed-in user
+// with a sign-out button. `onSubmit(mode, fields)` resolves to an error
+// message, or null once signed in.
+const AccountMenu = ({ user, onSubmit, onSignOut, disabled }) => {
+  const [open, setOpen] = useState(false);
+  const [mode, setMode] = useState('login');
+  const [fields, setFields] = useState({ email: '', password: '', name: '' });
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  if (user) {
+    return (
+      <div className="flex items-center space-x-2 text-sm text-gray-600">
+        <UserCircle className="w-4 h-4" />
+        <span className="max-w-40 truncate" title={user.email}>{user.name || user.email}</span>
+        <button
+          onClick={onSignOut}
+          disabled={disabled}
+          className="flex items-center space-x-1 px-2 py-1 rounded-lg hover:text-gray-900 hover:bg-gray-100 disabled:opacity-50"
+        >
+          <LogOut className="w-4 h-4" />
+          <span>Sign out</span>
+        </button>
+      </div>
+    );
+  }
+
+  const setField = (name) => (e) => setFields({ ...fields, [name]: e.target.value });
+
+  const close = () => {
+    setOpen(false);
+    setError(null);
+    setFields({ email: '', password: '', name: '' });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    const submitError = await onSubmit(mode, fields);
+    setSubmitting(false);
+    if (submitError) {
+      setError(submitError);
+    } else {
+      close();
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => (open ? close() : setOpen(true))}
+        disabled={disabled}
+        className="flex items-center space-x-2 px-3 py-2 text-sm text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        <LogIn className="w-4 h-4" />
+        <span>Sign in</span>
+      </button>
+
+      {open && (
+        <form
+          onSubmit={handleSubmit}
+          className="absolute right-0 mt-2 w-72 z-10 bg-white border rounded-lg shadow-lg p-4 space-y-3"
+        >
+          <div className="flex items-center justify-between">
+            <p className="text-sm font-medium text-gray-900">{mode === 'login' ? 'Sign in' : 'Create an account'}</p>
+            <button type="button" onClick={close} className="text-gray-400 hover:text-gray-600" aria-label="Close">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+
+          {mode === 'register' && (
+            <input
+              value={fields.name}
+              onChange={setField('name')}
+              placeholder="Name (optional)"
+              className="w-full text-sm border rounded px-2 py-1.5 focus:outline-none focus:ring-1 focus:ring-blue-500"
+            />
+          )}
+          <input
+            type="email"
+            value={fields.email}
+            onChange={setField('email')}
+            placeholder="Email"
+            required
+            autoFocus
+            className="w-full text-sm border rounded px-2 py-1.5 focus:outline-none focus:ring-1 focus:ring-blue-500"
+          />
+          <input
+            type="password"
+            value={fields.password}
+            onChange={setField('password')}
+            placeholder={mode === 'register' ? 'Password (at least 8 characters)' : 'Password'}
+            required
+            minLength={mode === 'register' ? 8 : undefined}
+            className="w-full text-sm border rounded px-2 py-1.5 focus:outline-none focus:ring-1 focus:ring-blue-500"
+          />
+
+          {error && <p className="text-xs text-red-600">{error}</p>}
+
+          <button
+            type="submit"
+            disabled={submitting}
+            className="w-full text-sm bg-blue-600 text-white rounded-lg py-2 hover:bg-blue-700 disabled:opacity-50"
+          >
+            {mode === 'login' ? 'Sign in' : 'Register'}
+          </button>
+          <button
+            type="button"
+            onClick={() => { setMode(mode === 'login' ? 'register' : 'login'); setError(null); }}
+            className="w-full text-xs text-gray-500 hover:text-gray-700"
+          >
+            {mode === 'login' ? 'No account? Register' : 'Have an account? Sign in'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default AccountMenu;
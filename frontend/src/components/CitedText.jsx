@@ -0,0 +1,56 @@
+// Answer text with inline citation markers ([1], [2]) rendered as
+// superscript links to the message's footnotes, and sentences the grounding
+// check could not support highlighted
+const CitedText = ({ text, sources = [], footnoteId, unsupported = [] }) => {
+  const cited = new Map(sources.map(source => [source.citation, source]));
+
+  const renderCitations = (part, keyPrefix) => part.split(/(\[\d+\])/).map((piece, index) => {
+    const match = piece.match(/^\[(\d+)\]$/);
+    const source = match && cited.get(parseInt(match[1]));
+    if (!source) return piece;
+
+    return (
+      <sup key={`${keyPrefix}-${index}`}>
+        <a
+          href={`#${footnoteId(source.citation)}`}
+          title={`${source.title} - ${source.source}`}
+          className="text-blue-600 hover:text-blue-800 hover:underline px-0.5"
+        >
+          [{source.citation}]
+        </a>
+      </sup>
+    );
+  });
+
+  // Split the text around unsupported sentences, in order of appearance
+  const segments = [];
+  let position = 0;
+  for (const sentence of unsupported) {
+    const start = text.indexOf(sentence.text, position);
+    if (start === -1) continue;
+    segments.push({ text: text.slice(position, start) });
+    segments.push({ text: sentence.text, score: sentence.score });
+    position = start + sentence.text.length;
+  }
+  segments.push({ text: text.slice(position) });
+
+  return (
+    <div className="whitespace-pre-wrap">
+      {segments.map((segment, index) => (
+        segment.score === undefined
+          ? renderCitations(segment.text, index)
+          : (
+            <mark
+              key={index}
+              title={`Not supported by the sources (score ${segment.score})`}
+              className="bg-amber-100 text-inherit underline decoration-amber-500 decoration-dotted rounded-sm"
+            >
+              {renderCitations(segment.text, index)}
+            </mark>
+          )
+      ))}
+    </div>
+  );
+};
+
+export default CitedText;
@@ -0,0 +1,110 @@
+import { useState } from 'react';
+import { MessageSquare, Pencil, Trash2, Check, X } from 'lucide-react';
+
+const formatUpdated = (date) => {
+  const updated = new Date(date);
+  return updated.toDateString() === new Date().toDateString()
+    ? updated.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })
+    : updated.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+};
+
+// Past conversations, most recent first, with inline rename and delete
+const ConversationSidebar = ({ conversations, activeSessionId, onSelect, onRename, onDelete, disabled }) => {
+  // The conversation being renamed and its draft title
+  const [editing, setEditing] = useState(null);
+
+  const sorted = [...conversations].sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+  const startRename = (conversation) => setEditing({ sessionId: conversation.sessionId, title: conversation.title });
+
+  const submitRename = () => {
+    const title = editing.title.trim();
+    if (title) onRename(editing.sessionId, title);
+    setEditing(null);
+  };
+
+  const handleRenameKey = (e) => {
+    if (e.key === 'Enter') submitRename();
+    if (e.key === 'Escape') setEditing(null);
+  };
+
+  const confirmDelete = (conversation) => {
+    if (window.confirm(`Delete "${conversation.title}"? Its history will be removed from the server.`)) {
+      onDelete(conversation.sessionId);
+    }
+  };
+
+  return (
+    <aside className="w-64 flex-shrink-0 border-r bg-white flex flex-col">
+      <p className="px-4 py-3 border-b text-sm font-medium text-gray-900">Conversations</p>
+
+      <div className="flex-1 overflow-y-auto py-2">
+        {sorted.length === 0 && (
+          <p className="px-4 text-xs text-gray-500">Your conversations will appear here.</p>
+        )}
+
+        {sorted.map(conversation => {
+          const isActive = conversation.sessionId === activeSessionId;
+          const isEditing = editing?.sessionId === conversation.sessionId;
+
+          return (
+            <div
+              key={conversation.sessionId}
+              className={`group mx-2 px-2 py-2 rounded-lg flex items-center space-x-2 ${
+                isActive ? 'bg-blue-50' : 'hover:bg-gray-100'
+              }`}
+            >
+              <MessageSquare className={`w-4 h-4 flex-shrink-0 ${isActive ? 'text-blue-600' : 'text-gray-400'}`} />
+
+              {isEditing ? (
+                <>
+                  <input
+                    value={editing.title}
+                    onChange={(e) => setEditing({ ...editing, title: e.target.value })}
+                    onKeyDown={handleRenameKey}
+                    autoFocus
+                    className="flex-1 min-w-0 text-sm border rounded px-1 py-0.5 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                  />
+                  <button onClick={submitRename} className="text-gray-400 hover:text-green-600" aria-label="Save title">
+                    <Check className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => setEditing(null)} className="text-gray-400 hover:text-gray-600" aria-label="Cancel rename">
+                    <X className="w-4 h-4" />
+                  </button>
+                </>
+              ) : (
+                <>
+                  <button
+                    onClick={() => onSelect(conversation.sessionId)}
+                    disabled={disabled || isActive}
+                    className="flex-1 min-w-0 text-left disabled:cursor-default"
+                  >
+                    <p className={`text-sm truncate ${isActive ? 'text-blue-900 font-medium' : 'text-gray-900'}`} title={conversation.title}>
+                      {conversation.title}
+                    </p>
+                    <p className="text-xs text-gray-500">{formatUpdated(conversation.updatedAt)}</p>
+                  </button>
+                  <div className="hidden group-hover:flex items-center space-x-1">
+                    <button onClick={() => startRename(conversation)} className="text-gray-400 hover:text-gray-600" aria-label="Rename conversation">
+                      <Pencil className="w-3.5 h-3.5" />
+                    </button>
+                    <button
+                      onClick={() => confirmDelete(conversation)}
+                      disabled={disabled}
+                      className="text-gray-400 hover:text-red-600 disabled:opacity-50"
+                      aria-label="Delete conversation"
+                    >
+                      <Trash2 className="w-3.5 h-3.5" />
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </aside>
+  );
+};
+
+export default ConversationSidebar;
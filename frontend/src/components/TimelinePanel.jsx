@@ -0,0 +1,106 @@
+import { useState, useEffect } from 'react';
+import { CalendarDays, ExternalLink, Loader2, X } from 'lucide-react';
+import axios from 'axios';
+import CitedText from './CitedText';
+
+const footnoteId = (citation) => `timeline-cite-${citation}`;
+
+const formatDay = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+  timeZone: 'UTC'
+});
+
+// Vertical timeline of how a topic developed (GET /api/timeline), one entry
+// per day with its cited summary and articles
+const TimelinePanel = ({ query, apiBaseUrl, onClose }) => {
+  // The last response, kept with the query it answers
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    axios.get(`${apiBaseUrl}/timeline`, { params: { q: query }, signal: controller.signal })
+      .then(response => setResult({ query, timeline: response.data, error: null }))
+      .catch(requestError => {
+        if (axios.isCancel(requestError)) return;
+        console.error('Failed to load timeline:', requestError);
+        setResult({ query, timeline: null, error: requestError.response?.data?.error || 'Failed to load the timeline.' });
+      });
+
+    return () => controller.abort();
+  }, [query, apiBaseUrl]);
+
+  const isLoading = result?.query !== query;
+  const timeline = isLoading ? null : result.timeline;
+  const error = isLoading ? null : result.error;
+
+  return (
+    <aside className="w-96 flex-shrink-0 border-l bg-white flex flex-col">
+      <div className="px-4 py-3 border-b flex items-start justify-between">
+        <div className="min-w-0">
+          <p className="flex items-center space-x-1 text-sm font-medium text-gray-900">
+            <CalendarDays className="w-4 h-4 text-blue-600" />
+            <span>Timeline</span>
+          </p>
+          <p className="text-xs text-gray-500 truncate" title={query}>{query}</p>
+        </div>
+        <button
+          onClick={onClose}
+          className="text-gray-400 hover:text-gray-600"
+          aria-label="Close timeline"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-4 py-4">
+        {isLoading && (
+          <div className="flex items-center space-x-2 text-sm text-gray-500">
+            <Loader2 className="w-4 h-4 animate-spin" />
+            <span>Building timeline...</span>
+          </div>
+        )}
+
+        {error && <p className="text-sm text-red-700">{error}</p>}
+
+        {timeline && timeline.days.length === 0 && (
+          <p className="text-sm text-gray-500">No dated articles found for this topic.</p>
+        )}
+
+        {timeline && timeline.days.length > 0 && (
+          <ol className="relative border-l border-gray-200 ml-2">
+            {timeline.days.map(day => (
+              <li key={day.date} className="mb-6 ml-4">
+                <span className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full bg-blue-600 border-2 border-white" />
+                <p className="text-xs font-medium text-blue-700 mb-1">{formatDay(day.date)}</p>
+                <div className="text-sm text-gray-900">
+                  <CitedText text={day.summary} sources={day.sources} footnoteId={footnoteId} />
+                </div>
+                <div className="mt-2 space-y-1">
+                  {day.articles.map(article => (
+                    <a
+                      key={article.citation}
+                      id={footnoteId(article.citation)}
+                      href={article.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-xs text-blue-600 hover:text-blue-800 flex items-center space-x-1 hover:underline"
+                    >
+                      <span className="font-medium">[{article.citation}]</span>
+                      <span className="truncate">{article.title} - {article.source}</span>
+                      <ExternalLink className="w-3 h-3 flex-shrink-0" />
+                    </a>
+                  ))}
+                </div>
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </aside>
+  );
+};
+
+export default TimelinePanel;
@@ -0,0 +1,33 @@
+// The account signed in on this browser, kept in localStorage: the login
+// token returned by POST /api/auth/login or /register and its user. The
+// token is sent as `Authorization: Bearer <token>` and in the socket
+// handshake.
+
+const AUTH_KEY = 'news-chatbot:auth';
+
+// { token, user } or null
+export const loadAuth = () => {
+  try {
+    const auth = JSON.parse(localStorage.getItem(AUTH_KEY));
+    return auth?.token && auth?.user ? auth : null;
+  } catch {
+    return null;
+  }
+};
+
+export const saveAuth = (auth) => {
+  try {
+    if (auth) {
+      localStorage.setItem(AUTH_KEY, JSON.stringify(auth));
+    } else {
+      localStorage.removeItem(AUTH_KEY);
+    }
+  } catch (error) {
+    console.error('Failed to save sign-in:', error);
+  }
+};
+
+export const authHeaders = () => {
+  const token = loadAuth()?.token;
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
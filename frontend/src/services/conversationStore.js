@@ -0,0 +1,54 @@
+// Past conversations of this browser, kept in localStorage. The messages
+// themselves stay on the backend (GET /api/session/:id/history) until the
+// session expires; only ids, session keys, titles and times are stored here.
+
+const CONVERSATIONS_KEY = 'news-chatbot:conversations';
+const ACTIVE_SESSION_KEY = 'news-chatbot:active-session';
+const MAX_TITLE_LENGTH = 60;
+
+const read = (key, fallback) => {
+  try {
+    const value = localStorage.getItem(key);
+    return value ? JSON.parse(value) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const write = (key, value) => {
+  try {
+    if (value === null) {
+      localStorage.removeItem(key);
+    } else {
+      localStorage.setItem(key, JSON.stringify(value));
+    }
+  } catch (error) {
+    console.error('Failed to save conversations:', error);
+  }
+};
+
+// [{ sessionId, sessionKey, userId, title, createdAt, updatedAt }], userId
+// being the account signed in when the conversation was recorded, if any
+export const loadConversations = () => {
+  const conversations = read(CONVERSATIONS_KEY, []);
+  return Array.isArray(conversations) ? conversations.filter(conversation => conversation?.sessionId) : [];
+};
+
+export const saveConversations = (conversations) => write(CONVERSATIONS_KEY, conversations);
+
+// The session open when the page was last used, resumed on the next load
+export const loadActiveSessionId = () => read(ACTIVE_SESSION_KEY, null);
+
+export const saveActiveSessionId = (sessionId) => write(ACTIVE_SESSION_KEY, sessionId);
+
+// Title from the first question: whitespace collapsed and cut at a word
+// boundary ("What happened with the rail strike in the north…"). The backend
+// titles GET /api/me/sessions entries the same way.
+export const titleFromQuestion = (question) => {
+  const text = question.replace(/\s+/g, ' ').trim();
+  if (text.length <= MAX_TITLE_LENGTH) return text;
+
+  const cut = text.slice(0, MAX_TITLE_LENGTH);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > MAX_TITLE_LENGTH / 2 ? cut.slice(0, lastSpace) : cut}…`;
+};
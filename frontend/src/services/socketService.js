@@ -1,5 +1,10 @@
 import io from 'socket.io-client'
+import { loadAuth } from './authStore';
 
-const socket = io("http://localhost:4000");
+// The login token is read on every (re)connect, so reconnecting after
+// signing in or out switches the socket's user
+const socket = io("http://localhost:4000", {
+  auth: (callback) => callback({ token: loadAuth()?.token || null })
+});
 
-export default socket;
\ No newline at end of file
+export default socket;
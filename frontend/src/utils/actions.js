@@ -1,5 +1,10 @@
 const Actions = {
     CONNECTION: 'connection',
+    CHAT_MESSAGE: 'chat:message',
+    CHAT_SOURCES: 'chat:sources',
+    CHAT_CHUNK: 'chat:chunk',
+    CHAT_DONE: 'chat:done',
+    CHAT_ERROR: 'chat:error',
 }
 
-export default Actions;
\ No newline at end of file
+export default Actions;